@@ -0,0 +1,49 @@
+'use strict';
+
+const { createForwarder, recordFromJsonLine } = require('./integrations');
+
+const BUNYAN_OMIT_KEYS = ['v', 'pid', 'hostname', 'name', 'src'];
+
+function bunyanRecord(line, options = {}) {
+  const record = recordFromJsonLine(line, {
+    ...options,
+    omitKeys: BUNYAN_OMIT_KEYS,
+  });
+  // Present when the logger was created with `src: true`.
+  if (record && line.src && typeof line.src === 'object') {
+    record.site = {
+      function: line.src.func || null,
+      line: line.src.line || null,
+      path: line.src.file || null,
+    };
+  }
+  return record;
+}
+
+// Returns a bunyan stream definition: `bunyan.createLogger({ name, streams: [alshivalStream()] })`.
+function alshivalStream(options = {}) {
+  const forwarder = createForwarder(options);
+  const stream = {
+    write(line) {
+      try {
+        const parsed = typeof line === 'string' ? JSON.parse(line) : line;
+        if (parsed && typeof parsed === 'object') {
+          forwarder.forward(bunyanRecord(parsed, options));
+        }
+      } catch {
+        // Never fail the application's logger.
+      }
+      return true;
+    },
+  };
+  const definition = { type: 'raw', stream };
+  if (options.level !== undefined) {
+    definition.level = options.level;
+  }
+  return definition;
+}
+
+module.exports = {
+  alshivalStream,
+  bunyanRecord,
+};
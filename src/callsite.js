@@ -0,0 +1,146 @@
+'use strict';
+
+const fs = require('node:fs');
+const { SourceMap, findSourceMap } = require('node:module');
+const path = require('node:path');
+const { fileURLToPath } = require('node:url');
+
+const SDK_DIR = `${__dirname}${path.sep}`;
+const MAX_FRAMES = 50;
+const SOURCE_MAPPING_URL = /\/\/[#@]\s*sourceMappingURL=(\S+)/g;
+const INLINE_SOURCE_MAP = /^data:application\/json(?:;charset=[^;,]+)?;base64,(.*)$/;
+
+const sourceMaps = new Map();
+
+function structuredStack() {
+  const originalPrepare = Error.prepareStackTrace;
+  const originalLimit = Error.stackTraceLimit;
+  try {
+    Error.prepareStackTrace = (_, callSites) => callSites;
+    Error.stackTraceLimit = MAX_FRAMES;
+    const holder = {};
+    Error.captureStackTrace(holder, structuredStack);
+    return Array.isArray(holder.stack) ? holder.stack : [];
+  } finally {
+    Error.prepareStackTrace = originalPrepare;
+    Error.stackTraceLimit = originalLimit;
+  }
+}
+
+function toFilePath(fileName) {
+  if (typeof fileName !== 'string' || !fileName) {
+    return null;
+  }
+  if (fileName.startsWith('file://')) {
+    try {
+      return fileURLToPath(fileName);
+    } catch {
+      return null;
+    }
+  }
+  return fileName;
+}
+
+function isUserFrame(filePath) {
+  return Boolean(filePath)
+    && !filePath.startsWith(SDK_DIR)
+    && !filePath.startsWith('node:')
+    && path.isAbsolute(filePath);
+}
+
+function readSourceMap(filePath) {
+  const source = fs.readFileSync(filePath, 'utf8');
+  let url = null;
+  for (const match of source.matchAll(SOURCE_MAPPING_URL)) {
+    url = match[1];
+  }
+  if (!url) {
+    return null;
+  }
+  const inline = INLINE_SOURCE_MAP.exec(url);
+  const json = inline
+    ? Buffer.from(inline[1], 'base64').toString('utf8')
+    : fs.readFileSync(path.resolve(path.dirname(filePath), decodeURIComponent(url)), 'utf8');
+  return new SourceMap(JSON.parse(json));
+}
+
+function loadSourceMap(filePath) {
+  if (sourceMaps.has(filePath)) {
+    return sourceMaps.get(filePath);
+  }
+  let map = null;
+  try {
+    map = findSourceMap(filePath) || readSourceMap(filePath);
+  } catch {
+    map = null;
+  }
+  sourceMaps.set(filePath, map);
+  return map;
+}
+
+function resolveOriginalSource(map, filePath, originalSource) {
+  if (originalSource.startsWith('file://')) {
+    return toFilePath(originalSource);
+  }
+  if (/^[a-z][a-z0-9+.-]*:/i.test(originalSource) || path.isAbsolute(originalSource)) {
+    return originalSource;
+  }
+  const sourceRoot = map.payload && map.payload.sourceRoot ? map.payload.sourceRoot : '';
+  return path.resolve(path.dirname(filePath), sourceRoot, originalSource);
+}
+
+function applySourceMap(site) {
+  const map = loadSourceMap(site.path);
+  if (!map || !site.line) {
+    return site;
+  }
+  const entry = map.findEntry(site.line - 1, Math.max(0, (site.column || 1) - 1));
+  if (!entry || !entry.originalSource) {
+    return site;
+  }
+  return {
+    path: resolveOriginalSource(map, site.path, entry.originalSource),
+    line: entry.originalLine + 1,
+    column: entry.originalColumn + 1,
+    function: site.function,
+  };
+}
+
+function functionName(callSite) {
+  const name = callSite.getFunctionName();
+  const typeName = callSite.isToplevel() ? null : callSite.getTypeName();
+  if (name) {
+    return typeName && !name.startsWith(`${typeName}.`) && typeName !== 'Object' ? `${typeName}.${name}` : name;
+  }
+  const method = callSite.getMethodName();
+  if (method) {
+    return typeName ? `${typeName}.${method}` : method;
+  }
+  return '<anonymous>';
+}
+
+function captureCallSite() {
+  for (const callSite of structuredStack()) {
+    const filePath = toFilePath(callSite.getFileName());
+    if (!isUserFrame(filePath)) {
+      continue;
+    }
+    const site = applySourceMap({
+      path: filePath,
+      line: callSite.getLineNumber(),
+      column: callSite.getColumnNumber(),
+      function: functionName(callSite),
+    });
+    return {
+      module: path.basename(site.path).replace(/\.[^.]+$/, ''),
+      function: site.function,
+      line: site.line,
+      path: site.path,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  captureCallSite,
+};
@@ -0,0 +1,384 @@
+'use strict';
+
+const readline = require('node:readline');
+const { parseArgs } = require('node:util');
+
+const { LEVEL_NAME_TO_NO, coerceLevel } = require('./client');
+const { postJson, sdkVersion } = require('./delivery');
+const { DEFAULT_PORT, startDevServer } = require('./dev-server');
+const { errorMessage } = require('./diagnostics');
+const { createClient } = require('./instance');
+const { createForwarder, recordFromJsonLine } = require('./integrations');
+
+const USAGE = `Usage: alshival <command> [options]
+
+Commands:
+  send [options] <message...>   Send one record, e.g. alshival send --level error "disk full" --extra host=db1
+  pipe [options]                Send each line of stdin as a record; JSON lines are parsed
+  doctor [--no-post]            Check the configuration and make a test post
+  dev-server [options]          Run a local stand-in for the resource logs endpoint (Ctrl-C to stop)
+
+Options:
+  -l, --level <level>           Level for send, and for pipe lines without one (default: info)
+  -n, --logger <name>           Logger name (default: cli for send, pipe for pipe)
+  -e, --extra <key=value>       Extra field for send; repeatable
+  -p, --port <port>             dev-server port (default: ${DEFAULT_PORT}; 0 picks a free one)
+      --host <host>             dev-server address (default: 127.0.0.1)
+      --api-key <key>           dev-server: accept only this key; repeatable (default: any key)
+      --resource <id>           dev-server: accept only this resource, as <id>, u/<user>/<id> or team/<team>/<id>;
+                                repeatable (default: any resource)
+      --store <file>            dev-server: append received entries to a JSON-lines file
+  -q, --quiet                   dev-server: do not print received entries
+  -h, --help                    Show this help
+  -v, --version                 Show the SDK version
+
+Configuration comes from ALSHIVAL_* variables and alshival.config.json, as in the SDK.
+`;
+
+const PIPE_OMIT_KEYS = ['pid', 'hostname', 'name', 'logger', 'v'];
+
+class UsageError extends Error {}
+
+function parseCommandArgs(args, options) {
+  try {
+    return parseArgs({
+      args,
+      options,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (err) {
+    throw new UsageError(errorMessage(err));
+  }
+}
+
+function parseLevel(value) {
+  try {
+    const levelno = coerceLevel(value);
+    if (levelno === null || levelno === LEVEL_NAME_TO_NO.NOTSET) {
+      throw new Error(`Invalid log level: ${JSON.stringify(value)}`);
+    }
+    return levelno;
+  } catch (err) {
+    throw new UsageError(errorMessage(err));
+  }
+}
+
+function parseExtra(pairs = []) {
+  const extra = {};
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new UsageError(`--extra expects key=value, got ${JSON.stringify(pair)}`);
+    }
+    extra[pair.slice(0, separator)] = pair.slice(separator + 1);
+  }
+  return extra;
+}
+
+// Records from `tail -f app.log`: pino/bunyan style JSON objects, or plain text.
+function pipeRecord(text, { name, levelno }) {
+  if (text.trimStart().startsWith('{')) {
+    let line = null;
+    try {
+      line = JSON.parse(text);
+    } catch {
+      // Not JSON after all; send the text as is.
+    }
+    if (line && typeof line === 'object' && !Array.isArray(line)) {
+      const messageKey = line.msg === undefined && line.message !== undefined ? 'message' : 'msg';
+      const errorKey = line.err === undefined && line.error !== undefined ? 'error' : 'err';
+      const record = recordFromJsonLine(line, {
+        name: line.logger || line.name || name,
+        messageKey,
+        errorKey,
+        omitKeys: PIPE_OMIT_KEYS,
+      });
+      if (line.level === undefined) {
+        record.levelno = levelno;
+      }
+      return record;
+    }
+  }
+  return { name, levelno, message: text, extra: {} };
+}
+
+// Reports records that were not delivered and returns the exit code.
+function deliveryOutcome(client, drained, stderr) {
+  const stats = client.getStats();
+  const problems = [];
+  if (stats.skipped > 0) {
+    problems.push(`${stats.skipped} record(s) not sent: no API key or resource is configured (run alshival doctor)`);
+  }
+  if (stats.failed > 0) {
+    const statuses = Object.entries(stats.failedByStatus).map(([status, count]) => `${status} x${count}`).join(', ');
+    problems.push(`${stats.failed} record(s) failed to deliver (${statuses})`);
+  }
+  if (!drained) {
+    problems.push(`${stats.queued} record(s) still pending when the flush timed out`);
+  }
+  for (const problem of problems) {
+    stderr.write(`alshival: ${problem}\n`);
+  }
+  if (stats.filteredByLevel > 0) {
+    stderr.write(`alshival: ${stats.filteredByLevel} record(s) below the cloud level were not sent\n`);
+  }
+  return problems.length > 0 ? 1 : 0;
+}
+
+async function sendCommand(args, { stderr }) {
+  const { values, positionals } = parseCommandArgs(args, {
+    level: { type: 'string', short: 'l', default: 'info' },
+    logger: { type: 'string', short: 'n', default: 'cli' },
+    extra: { type: 'string', short: 'e', multiple: true },
+  });
+  if (positionals.length === 0) {
+    throw new UsageError('send needs a message');
+  }
+  const levelno = parseLevel(values.level);
+  const extra = parseExtra(values.extra);
+
+  const client = createClient({ fromEnv: true });
+  const forwarder = createForwarder({ client });
+  forwarder.forward({
+    name: values.logger,
+    levelno,
+    message: positionals.join(' '),
+    extra,
+  });
+  return deliveryOutcome(client, await client.flush(), stderr);
+}
+
+async function pipeCommand(args, { stdin, stderr }) {
+  const { values, positionals } = parseCommandArgs(args, {
+    level: { type: 'string', short: 'l', default: 'info' },
+    logger: { type: 'string', short: 'n', default: 'pipe' },
+  });
+  if (positionals.length > 0) {
+    throw new UsageError(`pipe reads stdin and takes no arguments, got ${JSON.stringify(positionals[0])}`);
+  }
+  const levelno = parseLevel(values.level);
+
+  // Flush on Ctrl-C too, since `tail -f` input never ends on its own.
+  const client = createClient({ fromEnv: true, flushOnExit: true });
+  const forwarder = createForwarder({ client });
+  const lines = readline.createInterface({ input: stdin, crlfDelay: Infinity });
+  for await (const text of lines) {
+    if (text.trim()) {
+      forwarder.forward(pipeRecord(text, { name: values.logger, levelno }));
+    }
+  }
+  return deliveryOutcome(client, await client.shutdown(), stderr);
+}
+
+function maskKey(apiKey) {
+  const key = String(apiKey);
+  return key.length > 8 ? `${key.slice(0, 4)}...${key.slice(-2)}` : 'set';
+}
+
+async function doctorCommand(args, { stdout }) {
+  const { values } = parseCommandArgs(args, {
+    'no-post': { type: 'boolean', default: false },
+  });
+  const lines = [];
+  const report = (status, text) => {
+    lines.push(`${status.padEnd(8)}${text}`);
+  };
+
+  let status = null;
+  let error = null;
+  const client = createClient({
+    fromEnv: true,
+    transport: (request) => postJson(request).then((resp) => {
+      status = resp.statusCode;
+      return resp;
+    }),
+  });
+  client.on('deliveryError', (event) => {
+    error = event.error ? errorMessage(event.error) : null;
+  });
+  const cfg = client.getConfig();
+  const diagnostics = client.getDiagnostics();
+  let failed = diagnostics.some((diagnostic) => diagnostic.severity === 'error');
+
+  report('info', `SDK ${sdkVersion()}, Node ${process.version}`);
+  for (const { severity, option, source, message } of diagnostics) {
+    report(severity, `${option || 'config'} (${source}): ${message}`);
+  }
+  if (cfg.apiKey) {
+    report('ok', `API key ${maskKey(cfg.apiKey)}`);
+  }
+  if (cfg.username) {
+    report('ok', `username ${cfg.username}`);
+  }
+  let endpoint = null;
+  if (cfg.resourceId) {
+    endpoint = client.buildResourceLogsEndpoint(cfg.resourceId);
+    report('ok', `resource ${cfg.resourceId}`);
+    report('ok', `endpoint ${endpoint}`);
+  }
+  if (!cfg.enabled) {
+    report('warning', 'delivery is disabled (enabled: false); the test post ignores this');
+  }
+
+  if (values['no-post']) {
+    report('info', 'test post skipped (--no-post)');
+  } else if (!endpoint || !cfg.apiKey) {
+    report('error', 'test post skipped: an API key and a resource are required');
+    failed = true;
+  } else {
+    // Bypass the cloud level, sampling and retries so one record goes straight out.
+    client.configure({
+      enabled: true,
+      cloudLevel: 'DEBUG',
+      sampling: {},
+      rateLimit: null,
+      maxRetries: 0,
+      spoolDir: null,
+      routes: [],
+    });
+    client.getLogger('alshival.doctor').info('alshival doctor test post', {
+      extra: { sdk_version: sdkVersion(), node_version: process.version },
+    });
+    await client.flush({ timeoutSeconds: Math.max(1, cfg.timeoutSeconds) + 1 });
+    const stats = client.getStats();
+    const latency = `${Math.round(stats.averageLatencyMs)}ms`;
+    if (stats.delivered > 0) {
+      report('ok', `test post accepted: status ${status} in ${latency}`);
+    } else {
+      failed = true;
+      if (status === 401 || status === 403) {
+        report('error', `test post rejected: status ${status}; check the API key`);
+      } else if (status === 404) {
+        report('error', 'test post rejected: status 404; check the resource URL and that the resource exists');
+      } else if (status) {
+        report('error', `test post failed: status ${status} after ${latency}`);
+      } else {
+        report('error', `test post failed: ${error || 'no response before the timeout'}`);
+      }
+    }
+  }
+
+  stdout.write(`${lines.join('\n')}\n`);
+  return failed ? 1 : 0;
+}
+
+function parseResourceSpec(spec) {
+  const parts = spec.split('/');
+  if (parts.length === 1 && parts[0]) {
+    return spec;
+  }
+  if (parts.length === 3 && (parts[0] === 'u' || parts[0] === 'team') && parts[1] && parts[2]) {
+    return parts[0] === 'u' ? { id: parts[2], user: parts[1] } : { id: parts[2], team: parts[1] };
+  }
+  throw new UsageError(`--resource expects <id>, u/<user>/<id> or team/<team>/<id>, got ${JSON.stringify(spec)}`);
+}
+
+function waitForStopSignal() {
+  return new Promise((resolve) => {
+    const stop = () => {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      resolve();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
+
+async function devServerCommand(args, { stdout }) {
+  const { values, positionals } = parseCommandArgs(args, {
+    port: { type: 'string', short: 'p', default: String(DEFAULT_PORT) },
+    host: { type: 'string', default: '127.0.0.1' },
+    'api-key': { type: 'string', multiple: true },
+    resource: { type: 'string', multiple: true },
+    store: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q', default: false },
+  });
+  if (positionals.length > 0) {
+    throw new UsageError(`dev-server takes no arguments, got ${JSON.stringify(positionals[0])}`);
+  }
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError(`--port expects a port number, got ${JSON.stringify(values.port)}`);
+  }
+  const resources = values.resource ? values.resource.map(parseResourceSpec) : null;
+
+  const server = await startDevServer({
+    port,
+    host: values.host,
+    apiKey: values['api-key'] || null,
+    resources,
+    store: values.store || null,
+    print: !values.quiet,
+    output: stdout,
+    // Entries are printed and stored; keeping them in memory would only grow a long-running server.
+    maxLogs: 0,
+  });
+  const example = resources ? resources[0] : 'dev-resource';
+  const exampleUrl = typeof example === 'string'
+    ? server.resourceUrl(example)
+    : server.resourceUrl(example.id, { user: example.user, team: example.team });
+  stdout.write([
+    `Alshival dev server listening on ${server.url}`,
+    `  ALSHIVAL_RESOURCE=${exampleUrl}`,
+    `  ALSHIVAL_API_KEY=${values['api-key'] ? values['api-key'][0] : '<any non-empty key>'}`,
+    values.store ? `  storing entries in ${server.store}` : null,
+    '',
+  ].filter((line) => line !== null).join('\n'));
+
+  await waitForStopSignal();
+  await server.close();
+  return 0;
+}
+
+const COMMANDS = {
+  send: sendCommand,
+  pipe: pipeCommand,
+  doctor: doctorCommand,
+  'dev-server': devServerCommand,
+};
+
+// Runs the CLI and resolves to the exit code.
+async function main(argv, {
+  stdin = process.stdin,
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) {
+  const [command, ...args] = argv;
+  if (!command) {
+    stderr.write(USAGE);
+    return 2;
+  }
+  if (command === '-h' || command === '--help' || command === 'help') {
+    stdout.write(USAGE);
+    return 0;
+  }
+  if (command === '-v' || command === '--version') {
+    stdout.write(`${sdkVersion()}\n`);
+    return 0;
+  }
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    stderr.write(`alshival: unknown command ${JSON.stringify(command)}\n\n${USAGE}`);
+    return 2;
+  }
+  if (args.includes('-h') || args.includes('--help')) {
+    stdout.write(USAGE);
+    return 0;
+  }
+  try {
+    return await COMMANDS[command](args, { stdin, stdout, stderr });
+  } catch (err) {
+    if (err instanceof UsageError) {
+      stderr.write(`alshival ${command}: ${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    stderr.write(`alshival ${command}: ${errorMessage(err)}\n`);
+    return 1;
+  }
+}
+
+module.exports = {
+  main,
+  pipeRecord,
+};
@@ -2,8 +2,17 @@
 
 const { URL } = require('node:url');
 
+const { readConfigFile } = require('./config-file');
+const { debug } = require('./diagnostics');
+const { compileGlob } = require('./glob');
+const { buildRedactConfig } = require('./redaction');
+const { buildRateLimitConfig, buildSamplingConfig, parseSamplingSpec } = require('./sampling');
+const { DEFAULT_SERIALIZE_LIMITS } = require('./serialize');
+
 const ALERT_LEVEL = 45;
 
+const DROP_POLICIES = new Set(['drop-oldest', 'drop-newest', 'drop-lowest-level']);
+
 const DISABLED_LEVEL_VALUES = new Set(['NONE', 'NULL', 'FALSE', 'OFF', 'DISABLE', 'DISABLED']);
 const CLOUD_LEVEL_NAME_TO_NO = {
   ALERT: ALERT_LEVEL,
@@ -63,28 +72,30 @@ function coerceCloudLevel(level) {
   throw new Error(`Invalid log level: ${JSON.stringify(level)}`);
 }
 
-function envLevel(name, defaultValue) {
-  const value = process.env[name];
-  if (value === undefined || String(value).trim() === '') {
-    return defaultValue;
-  }
-  try {
-    return coerceLevel(value);
-  } catch {
-    return defaultValue;
+function coerceDropPolicy(policy) {
+  const name = String(policy).trim().toLowerCase().replace(/_/g, '-');
+  if (DROP_POLICIES.has(name)) {
+    return name;
   }
+  throw new Error(`Invalid drop policy: ${JSON.stringify(policy)}`);
 }
 
-function envCloudLevel(name, defaultValue) {
-  const value = process.env[name];
-  if (value === undefined || String(value).trim() === '') {
-    return defaultValue;
-  }
-  try {
-    return coerceCloudLevel(value);
-  } catch {
-    return defaultValue;
+// Limits that are not non-negative numbers keep their current value and are passed to `onInvalid(key, value)`.
+function mergeSerializeLimits(base, options, onInvalid = () => {}) {
+  const limits = { ...base };
+  for (const key of Object.keys(DEFAULT_SERIALIZE_LIMITS)) {
+    const value = options ? options[key] : undefined;
+    if (Number.isFinite(value) && value >= 0) {
+      limits[key] = Math.trunc(value);
+    } else if (value !== undefined) {
+      onInvalid(key, value);
+    }
   }
+  return limits;
+}
+
+function optionValue(options, name, snakeName) {
+  return Object.prototype.hasOwnProperty.call(options, name) ? options[name] : options[snakeName];
 }
 
 function parseResourceReference(resource) {
@@ -135,83 +146,483 @@ function parseResourceReference(resource) {
   };
 }
 
-function buildClientConfigFromEnv() {
-  const resourceEnv = parseResourceReference(process.env.ALSHIVAL_RESOURCE || process.env.ALSHIVAL_RESOURCE_URL);
-  const defaultCloudLevel = LEVEL_NAME_TO_NO.INFO;
+function coerceRouteDestination(resource, label) {
+  const raw = String(resource || '').trim();
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(raw)) {
+    if (!raw) {
+      throw new Error(`Invalid ${label}: empty resource`);
+    }
+    // A bare resource id is sent to the configured host and prefix.
+    return { resourceBaseUrl: null, resourceLogsPrefix: null, resourceId: raw };
+  }
+  const parsed = parseResourceReference(raw);
+  if (!parsed) {
+    throw new Error(`Invalid ${label}: resource URL has no /resources/<id> segment: ${JSON.stringify(resource)}`);
+  }
+  return parsed;
+}
 
-  const resourceBaseUrl = resourceEnv ? resourceEnv.resourceBaseUrl : null;
-  const resourceLogsPrefix = resourceEnv ? resourceEnv.resourceLogsPrefix : null;
-  const resourceId = resourceEnv ? resourceEnv.resourceId : null;
+function buildRoutingConfig(routes) {
+  if (routes === undefined || routes === null || routes === false) {
+    return [];
+  }
+  if (!Array.isArray(routes)) {
+    throw new Error('Invalid routes: expected an array of rules');
+  }
+  return routes.map((rule, index) => {
+    const label = `route #${index}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Invalid ${label}: expected an object`);
+    }
+    const resources = [].concat(rule.resources || [], rule.resource || []);
+    if (resources.length === 0) {
+      throw new Error(`Invalid ${label}: no resource or resources`);
+    }
+    if (rule.extra !== undefined && (!rule.extra || typeof rule.extra !== 'object' || Array.isArray(rule.extra))) {
+      throw new Error(`Invalid ${label}: extra must be an object of field values`);
+    }
+    return {
+      loggers: rule.logger === undefined ? null : [].concat(rule.logger).map((pattern) => compileGlob(pattern)),
+      minLevel: rule.minLevel === undefined ? null : coerceLevel(rule.minLevel),
+      maxLevel: rule.maxLevel === undefined ? null : coerceLevel(rule.maxLevel),
+      extra: rule.extra ? { ...rule.extra } : null,
+      destinations: resources.map((resource) => coerceRouteDestination(resource, label)),
+      apiKey: rule.apiKey || null,
+      includeDefault: Boolean(rule.includeDefault),
+    };
+  });
+}
+
+const ENV_OPTIONS = [
+  ['username', 'ALSHIVAL_USERNAME', 'string'],
+  ['apiKey', 'ALSHIVAL_API_KEY', 'string'],
+  ['resource', 'ALSHIVAL_RESOURCE', 'string'],
+  ['resource', 'ALSHIVAL_RESOURCE_URL', 'string'],
+  ['enabled', 'ALSHIVAL_ENABLED', 'bool'],
+  ['cloudLevel', 'ALSHIVAL_CLOUD_LEVEL', 'string'],
+  ['timeoutSeconds', 'ALSHIVAL_TIMEOUT_SECONDS', 'number'],
+  ['verifySsl', 'ALSHIVAL_VERIFY_SSL', 'bool'],
+  ['batchSize', 'ALSHIVAL_BATCH_SIZE', 'number'],
+  ['batchMaxBytes', 'ALSHIVAL_BATCH_MAX_BYTES', 'number'],
+  ['batchIntervalSeconds', 'ALSHIVAL_BATCH_INTERVAL_SECONDS', 'number'],
+  ['flushOnExit', 'ALSHIVAL_FLUSH_ON_EXIT', 'bool'],
+  ['flushTimeoutSeconds', 'ALSHIVAL_FLUSH_TIMEOUT_SECONDS', 'number'],
+  ['maxRetries', 'ALSHIVAL_MAX_RETRIES', 'number'],
+  ['retryBaseSeconds', 'ALSHIVAL_RETRY_BASE_SECONDS', 'number'],
+  ['retryMaxSeconds', 'ALSHIVAL_RETRY_MAX_SECONDS', 'number'],
+  ['spoolDir', 'ALSHIVAL_SPOOL_DIR', 'string'],
+  ['spoolMaxBytes', 'ALSHIVAL_SPOOL_MAX_BYTES', 'number'],
+  ['maxQueueSize', 'ALSHIVAL_MAX_QUEUE_SIZE', 'number'],
+  ['dropPolicy', 'ALSHIVAL_DROP_POLICY', 'string'],
+  ['maxConcurrentRequests', 'ALSHIVAL_MAX_CONCURRENT_REQUESTS', 'number'],
+  ['callSiteLevel', 'ALSHIVAL_CALLSITE_LEVEL', 'string'],
+  ['sampling', 'ALSHIVAL_SAMPLING', 'sampling'],
+  ['summaryIntervalSeconds', 'ALSHIVAL_SUMMARY_INTERVAL_SECONDS', 'number'],
+  ['dedupeWindowSeconds', 'ALSHIVAL_DEDUPE_WINDOW_SECONDS', 'number'],
+  ['routes', 'ALSHIVAL_ROUTES', 'json'],
+];
+
+// Options that take several environment variables: option -> { key in the option object: env var }.
+const ENV_OBJECT_OPTIONS = [
+  ['serialize', {
+    maxDepth: 'ALSHIVAL_SERIALIZE_MAX_DEPTH',
+    maxKeys: 'ALSHIVAL_SERIALIZE_MAX_KEYS',
+    maxArrayLength: 'ALSHIVAL_SERIALIZE_MAX_ARRAY_LENGTH',
+    maxStringLength: 'ALSHIVAL_SERIALIZE_MAX_STRING_LENGTH',
+  }],
+  ['rateLimit', {
+    perSecond: 'ALSHIVAL_RATE_LIMIT_PER_SECOND',
+    burst: 'ALSHIVAL_RATE_LIMIT_BURST',
+  }],
+];
 
+const KNOWN_OPTIONS = new Set([
+  ...ENV_OPTIONS.map(([option]) => option),
+  ...ENV_OBJECT_OPTIONS.map(([option]) => option),
+  'redact',
+  'api_key',
+  'cloud_level',
+  'timeout_seconds',
+  'verify_ssl',
+]);
+for (const option of [...KNOWN_OPTIONS]) {
+  KNOWN_OPTIONS.add(option.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`));
+}
+
+function parseEnvValue(raw, type) {
+  const value = String(raw).trim();
+  if (type === 'number') {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) {
+      throw new Error(`expected a number, got ${JSON.stringify(raw)}`);
+    }
+    return parsed;
+  }
+  if (type === 'bool') {
+    const normalized = value.toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(normalized)) {
+      return true;
+    }
+    if (['0', 'false', 'no', 'off'].includes(normalized)) {
+      return false;
+    }
+    throw new Error(`expected true/false, got ${JSON.stringify(raw)}`);
+  }
+  if (type === 'json') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      throw new Error(`expected JSON: ${err.message}`);
+    }
+  }
+  if (type === 'sampling') {
+    return parseSamplingSpec(value);
+  }
+  return value;
+}
+
+// Converts ALSHIVAL_* variables into configure() options. `sources` maps each option to the variable it came from.
+function envConfigOptions(env = process.env, diagnostics = []) {
+  const options = {};
+  const sources = {};
+  const isSet = (name) => env[name] !== undefined && String(env[name]).trim() !== '';
+  const read = (option, name, type) => {
+    try {
+      return parseEnvValue(env[name], type);
+    } catch (err) {
+      diagnostics.push({ severity: 'error', option, source: name, message: err.message });
+      return undefined;
+    }
+  };
+
+  for (const [option, name, type] of ENV_OPTIONS) {
+    if (Object.prototype.hasOwnProperty.call(options, option) || !isSet(name)) {
+      continue;
+    }
+    const value = read(option, name, type);
+    if (value !== undefined) {
+      options[option] = value;
+      sources[option] = name;
+    }
+  }
+
+  for (const [option, fields] of ENV_OBJECT_OPTIONS) {
+    const value = {};
+    for (const [key, name] of Object.entries(fields)) {
+      if (isSet(name)) {
+        const parsed = read(option, name, 'number');
+        if (parsed !== undefined) {
+          value[key] = parsed;
+          sources[option] = name;
+        }
+      }
+    }
+    if (Object.keys(value).length > 0) {
+      options[option] = value;
+    }
+  }
+
+  if (isSet('ALSHIVAL_REDACT') && read('redact', 'ALSHIVAL_REDACT', 'bool') === false) {
+    options.redact = false;
+    sources.redact = 'ALSHIVAL_REDACT';
+  } else if (isSet('ALSHIVAL_REDACT_KEYS')) {
+    options.redact = {
+      keys: String(env.ALSHIVAL_REDACT_KEYS).split(',').map((key) => key.trim()).filter(Boolean),
+    };
+    sources.redact = 'ALSHIVAL_REDACT_KEYS';
+  }
+
+  return { options, sources };
+}
+
+function defaultClientConfig() {
   return {
-    username: process.env.ALSHIVAL_USERNAME || null,
-    resourceBaseUrl,
-    resourceLogsPrefix,
-    apiKey: process.env.ALSHIVAL_API_KEY || null,
-    resourceId,
+    username: null,
+    resourceBaseUrl: null,
+    resourceLogsPrefix: null,
+    apiKey: null,
+    resourceId: null,
     enabled: true,
-    cloudLevel: envCloudLevel('ALSHIVAL_CLOUD_LEVEL', defaultCloudLevel),
+    cloudLevel: LEVEL_NAME_TO_NO.INFO,
     timeoutSeconds: 5,
     verifySsl: true,
+    batchSize: 1,
+    batchMaxBytes: 256 * 1024,
+    batchIntervalSeconds: 1,
+    flushOnExit: false,
+    flushTimeoutSeconds: 5,
+    maxRetries: 3,
+    retryBaseSeconds: 0.5,
+    retryMaxSeconds: 30,
+    spoolDir: null,
+    spoolMaxBytes: 50 * 1024 * 1024,
+    maxQueueSize: 10000,
+    dropPolicy: 'drop-oldest',
+    maxConcurrentRequests: 4,
+    redact: buildRedactConfig({}),
+    serialize: { ...DEFAULT_SERIALIZE_LIMITS },
+    callSiteLevel: null,
+    sampling: buildSamplingConfig({}),
+    rateLimit: null,
+    summaryIntervalSeconds: 60,
+    dedupeWindowSeconds: 60,
+    routes: [],
   };
 }
 
-const _config = buildClientConfigFromEnv();
+// Defaults, then the config file (and its profile), then ALSHIVAL_* variables. Invalid values are reported in
+// `diagnostics` and leave the previous value in place.
+function loadClientConfig(env = process.env) {
+  const diagnostics = [];
+  const config = defaultClientConfig();
+  const file = readConfigFile(diagnostics, env);
+  if (file) {
+    applyConfigOptions(config, file.options, { diagnostics, source: file.path, throwOnInvalid: false });
+  }
+  const fromEnv = envConfigOptions(env, diagnostics);
+  applyConfigOptions(config, fromEnv.options, {
+    diagnostics,
+    source: 'env',
+    sources: fromEnv.sources,
+    throwOnInvalid: false,
+  });
+  for (const { severity, option, source, message } of diagnostics) {
+    debug(`config ${severity}: ${option || 'file'} (${source}): ${message}`);
+  }
+  return { config, diagnostics };
+}
 
-function configure(options = {}) {
-  const username = options.username;
+function buildClientConfigFromEnv() {
+  return loadClientConfig().config;
+}
+
+function describeResourceProblem(resource) {
+  const raw = String(resource).trim();
+  if (!raw) {
+    return 'resource is empty';
+  }
+  let parsed = null;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    // Not a URL at all; reported below.
+  }
+  if (!parsed) {
+    return `resource is not a valid URL: ${JSON.stringify(raw)}`;
+  }
+  return `resource URL has no /resources/<id> segment: ${JSON.stringify(raw)}`;
+}
+
+// Applies configure() options to `config`. Invalid values throw, unless `throwOnInvalid` is false, in which case
+// they are reported as errors in `diagnostics`; values that are ignored (such as a non-numeric timeout) are reported
+// as warnings either way.
+function applyConfigOptions(config, options = {}, {
+  diagnostics = [],
+  source = 'configure',
+  sources = {},
+  throwOnInvalid = true,
+} = {}) {
+  const report = (severity, option, message) => {
+    diagnostics.push({ severity, option, source: sources[option] || source, message });
+  };
+  const apply = (option, fn) => {
+    try {
+      fn();
+    } catch (err) {
+      if (throwOnInvalid) {
+        throw err;
+      }
+      report('error', option, err && err.message ? err.message : String(err));
+    }
+  };
+  const setNumber = (option, snakeName, clamp) => {
+    const value = optionValue(options, option, snakeName);
+    if (value === undefined) {
+      return;
+    }
+    if (Number.isFinite(value)) {
+      config[option] = clamp(value);
+    } else {
+      report('warning', option, `expected a number, got ${JSON.stringify(value)}; keeping ${config[option]}`);
+    }
+  };
+
+  for (const key of Object.keys(options)) {
+    if (!KNOWN_OPTIONS.has(key)) {
+      report('warning', key, `unknown option ${JSON.stringify(key)}`);
+    }
+  }
+
+  // `resource: null` clears the resource; a value that does not parse is reported and the previous one kept.
   const resource = options.resource;
-  const apiKey = Object.prototype.hasOwnProperty.call(options, 'apiKey') ? options.apiKey : options.api_key;
-  const enabled = options.enabled;
-  const timeoutSeconds = Object.prototype.hasOwnProperty.call(options, 'timeoutSeconds')
-    ? options.timeoutSeconds
-    : options.timeout_seconds;
-  const verifySsl = Object.prototype.hasOwnProperty.call(options, 'verifySsl') ? options.verifySsl : options.verify_ssl;
-
-  if (resource !== undefined) {
+  if (resource === null) {
+    config.resourceBaseUrl = null;
+    config.resourceLogsPrefix = null;
+    config.resourceId = null;
+  } else if (resource !== undefined) {
     const parsedResource = parseResourceReference(resource);
     if (parsedResource) {
-      _config.resourceBaseUrl = parsedResource.resourceBaseUrl;
-      _config.resourceLogsPrefix = parsedResource.resourceLogsPrefix;
-      _config.resourceId = parsedResource.resourceId;
+      config.resourceBaseUrl = parsedResource.resourceBaseUrl;
+      config.resourceLogsPrefix = parsedResource.resourceLogsPrefix;
+      config.resourceId = parsedResource.resourceId;
     } else {
-      _config.resourceBaseUrl = null;
-      _config.resourceLogsPrefix = null;
-      _config.resourceId = null;
+      report('error', 'resource', describeResourceProblem(resource));
     }
   }
 
-  if (username !== undefined) {
-    _config.username = username;
+  if (options.username !== undefined) {
+    config.username = options.username;
   }
+  const apiKey = optionValue(options, 'apiKey', 'api_key');
   if (apiKey !== undefined) {
-    _config.apiKey = apiKey;
+    config.apiKey = apiKey;
   }
-  if (enabled !== undefined) {
-    _config.enabled = Boolean(enabled);
+  if (options.enabled !== undefined) {
+    config.enabled = Boolean(options.enabled);
   }
 
-  const hasCloudLevel = (
-    Object.prototype.hasOwnProperty.call(options, 'cloudLevel')
-    || Object.prototype.hasOwnProperty.call(options, 'cloud_level')
-  );
-  if (hasCloudLevel) {
-    const cloudLevelValue = Object.prototype.hasOwnProperty.call(options, 'cloudLevel')
-      ? options.cloudLevel
-      : options.cloud_level;
-    _config.cloudLevel = coerceCloudLevel(cloudLevelValue);
+  const cloudLevel = optionValue(options, 'cloudLevel', 'cloud_level');
+  if (Object.prototype.hasOwnProperty.call(options, 'cloudLevel') || Object.prototype.hasOwnProperty.call(options, 'cloud_level')) {
+    apply('cloudLevel', () => {
+      config.cloudLevel = coerceCloudLevel(cloudLevel);
+    });
   }
 
-  if (timeoutSeconds !== undefined) {
-    _config.timeoutSeconds = Number.isFinite(timeoutSeconds) ? Number(timeoutSeconds) : _config.timeoutSeconds;
-  }
+  setNumber('timeoutSeconds', 'timeout_seconds', (value) => Number(value));
+  const verifySsl = optionValue(options, 'verifySsl', 'verify_ssl');
   if (verifySsl !== undefined) {
-    _config.verifySsl = Boolean(verifySsl);
+    config.verifySsl = Boolean(verifySsl);
+  }
+
+  setNumber('batchSize', 'batch_size', (value) => Math.max(1, Math.trunc(value)));
+  setNumber('batchMaxBytes', 'batch_max_bytes', (value) => Math.max(1, value));
+  setNumber('batchIntervalSeconds', 'batch_interval_seconds', (value) => Math.max(0, value));
+
+  const flushOnExit = optionValue(options, 'flushOnExit', 'flush_on_exit');
+  if (flushOnExit !== undefined) {
+    config.flushOnExit = Boolean(flushOnExit);
   }
+  setNumber('flushTimeoutSeconds', 'flush_timeout_seconds', (value) => Math.max(0, value));
+
+  setNumber('maxRetries', 'max_retries', (value) => Math.max(0, Math.trunc(value)));
+  setNumber('retryBaseSeconds', 'retry_base_seconds', (value) => Math.max(0, value));
+  setNumber('retryMaxSeconds', 'retry_max_seconds', (value) => Math.max(0, value));
+
+  const spoolDir = optionValue(options, 'spoolDir', 'spool_dir');
+  if (spoolDir !== undefined) {
+    config.spoolDir = spoolDir ? String(spoolDir) : null;
+  }
+  setNumber('spoolMaxBytes', 'spool_max_bytes', (value) => Math.max(0, value));
+
+  setNumber('maxQueueSize', 'max_queue_size', (value) => Math.max(1, Math.trunc(value)));
+  const dropPolicy = optionValue(options, 'dropPolicy', 'drop_policy');
+  if (dropPolicy !== undefined) {
+    apply('dropPolicy', () => {
+      config.dropPolicy = coerceDropPolicy(dropPolicy);
+    });
+  }
+  setNumber('maxConcurrentRequests', 'max_concurrent_requests', (value) => Math.max(1, Math.trunc(value)));
+
+  if (options.redact !== undefined) {
+    apply('redact', () => {
+      config.redact = buildRedactConfig(options.redact);
+    });
+  }
+  if (options.serialize !== undefined) {
+    if (options.serialize && typeof options.serialize === 'object') {
+      config.serialize = mergeSerializeLimits(config.serialize, options.serialize, (key, value) => {
+        const problem = `serialize.${key} must be a non-negative number, got ${JSON.stringify(value)}`;
+        report('warning', 'serialize', `${problem}; keeping ${config.serialize[key]}`);
+      });
+    } else {
+      report('warning', 'serialize', `expected an object of limits, got ${JSON.stringify(options.serialize)}`);
+    }
+  }
+
+  const callSiteLevel = optionValue(options, 'callSiteLevel', 'call_site_level');
+  if (callSiteLevel !== undefined) {
+    apply('callSiteLevel', () => {
+      config.callSiteLevel = coerceLevel(callSiteLevel);
+    });
+  }
+
+  if (options.sampling !== undefined) {
+    apply('sampling', () => {
+      config.sampling = buildSamplingConfig(options.sampling);
+    });
+  }
+  const rateLimit = optionValue(options, 'rateLimit', 'rate_limit');
+  if (rateLimit !== undefined) {
+    const built = buildRateLimitConfig(rateLimit);
+    if (rateLimit && !built) {
+      const problem = typeof rateLimit === 'object'
+        ? `rateLimit.perSecond must be a positive number, got ${JSON.stringify(rateLimit.perSecond)}`
+        : `expected a rateLimit object, got ${JSON.stringify(rateLimit)}`;
+      report('error', 'rateLimit', `${problem}; keeping the previous rate limit`);
+    } else {
+      config.rateLimit = built;
+      if (built && rateLimit.burst !== undefined && built.burst !== Number(rateLimit.burst)) {
+        const problem = `rateLimit.burst must be a number of at least 1, got ${JSON.stringify(rateLimit.burst)}`;
+        report('warning', 'rateLimit', `${problem}; using ${built.burst}`);
+      }
+    }
+  }
+  setNumber('summaryIntervalSeconds', 'summary_interval_seconds', (value) => Math.max(0, value));
+  if (options.routes !== undefined) {
+    apply('routes', () => {
+      config.routes = buildRoutingConfig(options.routes);
+    });
+  }
+  setNumber('dedupeWindowSeconds', 'dedupe_window_seconds', (value) => Math.max(0, value));
+
+  return diagnostics;
+}
+
+// Checks the resulting configuration for settings that keep records from being delivered.
+function validateConfig(config) {
+  const diagnostics = [];
+  const report = (severity, option, message) => {
+    diagnostics.push({ severity, option, source: 'config', message });
+  };
+  if (config.enabled && config.cloudLevel !== null) {
+    if (!config.apiKey) {
+      report('warning', 'apiKey', 'no API key set (ALSHIVAL_API_KEY or apiKey); records are not sent to Alshival');
+    }
+    if (!config.resourceId && (!config.routes || config.routes.length === 0)) {
+      report('warning', 'resource', 'no resource set (ALSHIVAL_RESOURCE or resource); records are not sent to Alshival');
+    }
+  }
+  if (config.timeoutSeconds <= 0) {
+    report('warning', 'timeoutSeconds', 'timeoutSeconds must be greater than 0');
+  }
+  if (config.retryBaseSeconds > config.retryMaxSeconds) {
+    report('warning', 'retryBaseSeconds', 'retryBaseSeconds is larger than retryMaxSeconds');
+  }
+  if (config.resourceBaseUrl && config.resourceBaseUrl.startsWith('http://') && config.apiKey) {
+    report('warning', 'resource', 'resource uses http://; the API key is sent unencrypted');
+  }
+  return diagnostics;
+}
+
+function configResult(diagnostics) {
+  return {
+    ok: !diagnostics.some((diagnostic) => diagnostic.severity === 'error'),
+    diagnostics,
+  };
+}
+
+const { config: _config, diagnostics: _loadDiagnostics } = loadClientConfig();
+
+function configure(options = {}) {
+  const diagnostics = applyConfigOptions(_config, options);
+  return configResult([...diagnostics, ...validateConfig(_config)]);
+}
+
+function getLoadDiagnostics() {
+  return [..._loadDiagnostics];
 }
 
-function buildResourceLogsEndpoint(resourceId) {
-  const cfg = getConfig();
+function buildResourceLogsEndpoint(resourceId, cfg = getConfig()) {
   const base = String(cfg.resourceBaseUrl || '').trim().replace(/\/$/, '');
   const safeResource = encodeURIComponent(String(resourceId || '').trim());
   const resourceLogsPrefix = String(cfg.resourceLogsPrefix || '').trim();
@@ -233,13 +644,22 @@ function getConfig() {
 module.exports = {
   ALERT_LEVEL,
   LEVEL_NAME_TO_NO,
+  applyConfigOptions,
   buildClientConfigFromEnv,
   buildResourceLogsEndpoint,
+  buildRoutingConfig,
   coerceLevel,
   coerceCloudLevel,
+  coerceDropPolicy,
+  configResult,
   configure,
-  envLevel,
+  defaultClientConfig,
+  envConfigOptions,
   getConfig,
+  getLoadDiagnostics,
+  loadClientConfig,
+  optionValue,
   parseResourceReference,
   setEnabled,
+  validateConfig,
 };
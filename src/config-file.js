@@ -0,0 +1,62 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const CONFIG_FILE_NAMES = ['alshival.config.json', '.alshivalrc'];
+
+function findConfigFile(cwd = process.cwd()) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Reads ALSHIVAL_CONFIG, or alshival.config.json / .alshivalrc in the working directory. Both are JSON: top-level
+// options plus optional `profiles`, where the profile named by ALSHIVAL_PROFILE (or NODE_ENV) overrides the base.
+function readConfigFile(diagnostics = [], env = process.env) {
+  const explicitPath = env.ALSHIVAL_CONFIG && String(env.ALSHIVAL_CONFIG).trim();
+  const filePath = explicitPath ? path.resolve(explicitPath) : findConfigFile();
+  if (!filePath) {
+    return null;
+  }
+  const report = (severity, option, message) => {
+    diagnostics.push({ severity, option, source: filePath, message });
+  };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    const reason = err.code === 'ENOENT' ? 'config file not found' : `config file could not be read: ${err.message}`;
+    report('error', null, reason);
+    return null;
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    report('error', null, 'config file must contain a JSON object');
+    return null;
+  }
+
+  const { profiles = {}, ...options } = parsed;
+  const explicitProfile = env.ALSHIVAL_PROFILE && String(env.ALSHIVAL_PROFILE).trim();
+  const profile = explicitProfile || (env.NODE_ENV && String(env.NODE_ENV).trim()) || null;
+  if (profile && profiles && Object.prototype.hasOwnProperty.call(profiles, profile)) {
+    const overrides = profiles[profile];
+    if (overrides && typeof overrides === 'object' && !Array.isArray(overrides)) {
+      Object.assign(options, overrides);
+    } else {
+      report('error', 'profiles', `profile ${JSON.stringify(profile)} must be an object`);
+    }
+  } else if (explicitProfile) {
+    report('warning', 'profiles', `profile ${JSON.stringify(explicitProfile)} is not defined in the config file`);
+  }
+  return { path: filePath, profile, options };
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  readConfigFile,
+};
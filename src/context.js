@@ -0,0 +1,39 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function checkFields(fields, caller) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new TypeError(`${caller}(...) expects an object of context fields`);
+  }
+}
+
+function runWithContext(fields, fn, ...args) {
+  checkFields(fields, 'runWithContext');
+  if (typeof fn !== 'function') {
+    throw new TypeError('runWithContext(...) expects a function to run');
+  }
+  return storage.run({ ...(storage.getStore() || {}), ...fields }, fn, ...args);
+}
+
+function setContext(fields) {
+  checkFields(fields, 'setContext');
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  } else {
+    storage.enterWith({ ...fields });
+  }
+}
+
+function getContext() {
+  return { ...(storage.getStore() || {}) };
+}
+
+module.exports = {
+  getContext,
+  runWithContext,
+  setContext,
+};
@@ -0,0 +1,700 @@
+'use strict';
+
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const path = require('node:path');
+const { performance } = require('node:perf_hooks');
+const { URL } = require('node:url');
+
+const { debug, errorMessage } = require('./diagnostics');
+const { Spool, spoolTag } = require('./spool');
+const { DeliveryStats } = require('./stats');
+
+function sdkVersion() {
+  try {
+    const packageJsonPath = path.join(__dirname, '..', 'package.json');
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    return String(packageJson.version || 'unknown');
+  } catch {
+    return 'unknown';
+  }
+}
+
+// Transient network failures, including an unreachable host or a network partition; batches that still fail with
+// these are spooled.
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETDOWN',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EPIPE',
+  'ETIMEDOUT',
+]);
+
+function isRetryableStatus(statusCode) {
+  return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+function isRetryableError(err) {
+  return Boolean(err && RETRYABLE_ERROR_CODES.has(err.code));
+}
+
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const raw = String(Array.isArray(value) ? value[0] : value).trim();
+  if (!raw) {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(raw)) {
+    return Number(raw);
+  }
+  const date = Date.parse(raw);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, (date - now) / 1000);
+}
+
+function backoffSeconds(attempt, baseSeconds, maxSeconds) {
+  const ceiling = Math.min(maxSeconds, baseSeconds * (2 ** attempt));
+  return (ceiling / 2) + (Math.random() * (ceiling / 2));
+}
+
+function sleep(seconds) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, seconds * 1000).unref();
+  });
+}
+
+function responseHeader(resp, name) {
+  const headers = resp && resp.headers;
+  if (!headers || typeof headers !== 'object') {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === name) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+function postJson({
+  url,
+  payload,
+  headers,
+  timeoutSeconds,
+  verifySsl,
+}) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const body = JSON.stringify(payload);
+    const isHttps = parsed.protocol === 'https:';
+    const client = isHttps ? https : http;
+
+    const req = client.request(
+      {
+        protocol: parsed.protocol,
+        hostname: parsed.hostname,
+        port: parsed.port || undefined,
+        path: `${parsed.pathname}${parsed.search}`,
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'content-length': Buffer.byteLength(body),
+          ...headers,
+        },
+        timeout: Math.max(1, Number(timeoutSeconds || 5)) * 1000,
+        rejectUnauthorized: verifySsl !== false,
+      },
+      (res) => {
+        res.on('data', () => {
+          // Drain stream for keep-alive friendliness.
+        });
+        res.on('end', () => {
+          resolve({ statusCode: Number(res.statusCode || 0), headers: res.headers });
+        });
+      },
+    );
+
+    req.on('timeout', () => {
+      const err = new Error('Request timeout');
+      err.code = 'ETIMEDOUT';
+      req.destroy(err);
+    });
+    req.on('error', reject);
+    req.write(body);
+    req.end();
+  });
+}
+
+let transport = postJson;
+
+function setTransportForTests(fn) {
+  transport = typeof fn === 'function' ? fn : postJson;
+}
+
+function buildPayload(resourceId, entries) {
+  return {
+    resource_id: resourceId,
+    sdk: 'alshival-nodejs',
+    sdk_version: sdkVersion(),
+    logs: entries,
+  };
+}
+
+// Spooled batches keep the index of the routing rule whose apiKey they were sent with, never the key itself.
+function spooledApiKey(cfg, apiKeyRoute) {
+  const rule = Number.isInteger(apiKeyRoute) && cfg.routes ? cfg.routes[apiKeyRoute] : null;
+  return (rule && rule.apiKey) || cfg.apiKey;
+}
+
+const EXIT_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+function droppedRecordsEntry(count, policy) {
+  const message = `alshival dropped ${count} log record(s): delivery queue full (policy ${policy})`;
+  return {
+    level: 'warning',
+    message,
+    logger: 'alshival',
+    ts: new Date().toISOString(),
+    extra: {
+      logger: 'alshival',
+      module: null,
+      function: null,
+      line: null,
+      path: null,
+      extra: { dropped_records: count, drop_policy: policy },
+      stack_info: null,
+      exception: null,
+    },
+  };
+}
+
+// Every pipeline with flushOnExit shares one set of process listeners, so a signal waits for all of them to flush
+// before it is re-raised.
+const exitPipelines = new Set();
+let processExitHooks = null;
+
+function onProcessBeforeExit() {
+  for (const pipeline of exitPipelines) {
+    if (pipeline.hasPending()) {
+      pipeline.flush();
+    }
+  }
+}
+
+function onProcessExitSignal(signal) {
+  const pipelines = [...exitPipelines];
+  for (const pipeline of pipelines) {
+    pipeline.removeExitHooks();
+  }
+  Promise.allSettled(pipelines.map((pipeline) => pipeline.flush())).then(() => {
+    // Preserve default signal semantics unless the app handles the signal itself.
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  });
+}
+
+function registerExitHooks(pipeline) {
+  exitPipelines.add(pipeline);
+  if (processExitHooks) {
+    return;
+  }
+  processExitHooks = true;
+  process.on('beforeExit', onProcessBeforeExit);
+  for (const signal of EXIT_SIGNALS) {
+    process.on(signal, onProcessExitSignal);
+  }
+}
+
+function unregisterExitHooks(pipeline) {
+  exitPipelines.delete(pipeline);
+  if (exitPipelines.size > 0 || !processExitHooks) {
+    return;
+  }
+  processExitHooks = null;
+  process.removeListener('beforeExit', onProcessBeforeExit);
+  for (const signal of EXIT_SIGNALS) {
+    process.removeListener(signal, onProcessExitSignal);
+  }
+}
+
+// Emits 'deliveryError' with { url, resourceId, records, attempts, retryable, statusCode, error } when a post fails
+// for good (after its retries).
+class DeliveryPipeline extends EventEmitter {
+  constructor(getConfig, { transport: customTransport = null, stats = null } = {}) {
+    super();
+    this._getConfig = getConfig;
+    this.stats = stats || new DeliveryStats();
+    this._transport = customTransport;
+    this._queue = [];
+    this._batches = new Map();
+    this._dropped = new Map();
+    this._inFlight = new Set();
+    this._activeSends = 0;
+    this._flushHooks = [];
+    this._closed = false;
+    this._exitHooks = false;
+    this._spool = null;
+    this._spoolReplayStarted = false;
+    this._generation = 0;
+  }
+
+  enqueue({
+    url,
+    headers,
+    apiKeyRoute = null,
+    resourceId,
+    entry,
+    levelno,
+  }) {
+    if (this._closed) {
+      return;
+    }
+    const cfg = this._getConfig();
+    if (!this._spoolReplayStarted && cfg.spoolDir) {
+      // Deliver what a previous process left behind once this one starts logging.
+      this._spoolReplayStarted = true;
+      this.replaySpool();
+    }
+
+    const item = {
+      key: `${url}\n${JSON.stringify(headers)}`,
+      url,
+      headers,
+      apiKeyRoute,
+      resourceId,
+      entry,
+      levelno: Number(levelno) || 0,
+      bytes: Buffer.byteLength(JSON.stringify(entry)),
+    };
+    if (!this.admit(item, cfg)) {
+      this.countDropped(item);
+      return;
+    }
+    this.addItem(item, cfg);
+    this.pump();
+  }
+
+  admit(item, cfg) {
+    if (this._queue.length < cfg.maxQueueSize) {
+      return true;
+    }
+    if (cfg.dropPolicy === 'drop-newest' || this._queue.length === 0) {
+      return false;
+    }
+
+    let victimIndex = 0;
+    if (cfg.dropPolicy === 'drop-lowest-level') {
+      for (let index = 1; index < this._queue.length; index += 1) {
+        if (this._queue[index].levelno < this._queue[victimIndex].levelno) {
+          victimIndex = index;
+        }
+      }
+      if (this._queue[victimIndex].levelno > item.levelno) {
+        return false;
+      }
+    }
+
+    const [victim] = this._queue.splice(victimIndex, 1);
+    this.releaseItem(victim);
+    this.countDropped(victim);
+    return true;
+  }
+
+  countDropped(item) {
+    const dropped = this._dropped.get(item.key) || {
+      url: item.url,
+      headers: item.headers,
+      apiKeyRoute: item.apiKeyRoute,
+      resourceId: item.resourceId,
+      count: 0,
+    };
+    dropped.count += 1;
+    this._dropped.set(item.key, dropped);
+    this.stats.count('dropped');
+    debug('cloud log dropped: delivery queue full');
+  }
+
+  reportDropped(cfg) {
+    if (this._dropped.size === 0 || this._queue.length >= cfg.maxQueueSize) {
+      return;
+    }
+    const dropped = [...this._dropped.entries()];
+    this._dropped.clear();
+    for (const [key, {
+      url,
+      headers,
+      apiKeyRoute,
+      resourceId,
+      count,
+    }] of dropped) {
+      const entry = droppedRecordsEntry(count, cfg.dropPolicy);
+      this.addItem({
+        key,
+        url,
+        headers,
+        apiKeyRoute,
+        resourceId,
+        entry,
+        levelno: 30,
+        bytes: Buffer.byteLength(JSON.stringify(entry)),
+      }, cfg);
+    }
+  }
+
+  addItem(item, cfg) {
+    let batch = this._batches.get(item.key);
+    if (!batch) {
+      batch = {
+        count: 0,
+        bytes: 0,
+        ready: false,
+        timer: null,
+      };
+      this._batches.set(item.key, batch);
+    }
+    batch.count += 1;
+    batch.bytes += item.bytes;
+    this._queue.push(item);
+    if (cfg.batchSize > 1 && !batch.timer) {
+      this.startBatchTimer(item.key, batch, cfg);
+    }
+  }
+
+  releaseItem(item) {
+    const batch = this._batches.get(item.key);
+    if (!batch) {
+      return;
+    }
+    batch.count -= 1;
+    batch.bytes -= item.bytes;
+    if (batch.count <= 0) {
+      clearTimeout(batch.timer);
+      this._batches.delete(item.key);
+    }
+  }
+
+  startBatchTimer(key, batch, cfg) {
+    batch.timer = setTimeout(() => {
+      batch.timer = null;
+      batch.ready = true;
+      this.pump();
+    }, Math.max(0, Number(cfg.batchIntervalSeconds) || 0) * 1000);
+    batch.timer.unref();
+  }
+
+  isReady(batch, cfg) {
+    return batch.ready
+      || !(cfg.batchSize > 1)
+      || batch.count >= cfg.batchSize
+      || batch.bytes >= cfg.batchMaxBytes;
+  }
+
+  pump() {
+    const cfg = this._getConfig();
+    this.reportDropped(cfg);
+    while (this._activeSends < cfg.maxConcurrentRequests) {
+      const next = this._queue.find((item) => this.isReady(this._batches.get(item.key), cfg));
+      if (!next) {
+        return;
+      }
+      this.dispatch(next.key, cfg);
+    }
+  }
+
+  dispatch(key, cfg) {
+    const batch = this._batches.get(key);
+    const selected = [];
+    const remaining = [];
+    let bytes = 0;
+    let full = false;
+    for (const item of this._queue) {
+      if (item.key === key && !full) {
+        full = selected.length > 0 && (
+          selected.length >= cfg.batchSize || bytes + item.bytes > cfg.batchMaxBytes
+        );
+      }
+      if (item.key === key && !full) {
+        selected.push(item);
+        bytes += item.bytes;
+      } else {
+        remaining.push(item);
+      }
+    }
+    this._queue = remaining;
+    for (const item of selected) {
+      this.releaseItem(item);
+    }
+    if (this._batches.has(key)) {
+      batch.ready = false;
+      if (cfg.batchSize > 1 && !batch.timer) {
+        this.startBatchTimer(key, batch, cfg);
+      }
+    }
+
+    const [first] = selected;
+    const payload = buildPayload(first.resourceId, selected.map((item) => item.entry));
+    this.send(first.url, first.headers, payload, first.apiKeyRoute);
+  }
+
+  addFlushHook(fn) {
+    this._flushHooks.push(fn);
+  }
+
+  flushBatches() {
+    for (const batch of this._batches.values()) {
+      batch.ready = true;
+    }
+    this.pump();
+  }
+
+  getStats() {
+    return { ...this.stats.snapshot(), queued: this._queue.length };
+  }
+
+  // Discards queued records and their batch timers. Posts already in flight are abandoned: their response is ignored
+  // and they are neither retried nor spooled.
+  clearQueue() {
+    this._generation += 1;
+    for (const batch of this._batches.values()) {
+      clearTimeout(batch.timer);
+    }
+    this._batches.clear();
+    this._dropped.clear();
+    this._queue = [];
+  }
+
+  hasPending() {
+    return this._queue.length > 0 || this._inFlight.size > 0;
+  }
+
+  flush({ timeoutSeconds } = {}) {
+    const cfg = this._getConfig();
+    const seconds = Number.isFinite(timeoutSeconds) ? timeoutSeconds : cfg.flushTimeoutSeconds;
+
+    for (const hook of this._flushHooks) {
+      try {
+        hook();
+      } catch (err) {
+        debug(`flush hook failed: ${errorMessage(err)}`);
+      }
+    }
+
+    const drain = async () => {
+      this.flushBatches();
+      while (this._inFlight.size > 0) {
+        await Promise.allSettled([...this._inFlight]);
+        this.flushBatches();
+      }
+      return this._queue.length === 0;
+    };
+
+    let timer = null;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), Math.max(0, Number(seconds) || 0) * 1000);
+    });
+    return Promise.race([drain(), timeout]).finally(() => {
+      clearTimeout(timer);
+    });
+  }
+
+  async shutdown(options = {}) {
+    this.removeExitHooks();
+    const drained = await this.flush(options);
+    this._closed = true;
+    return drained;
+  }
+
+  syncExitHooks() {
+    if (this._getConfig().flushOnExit) {
+      this.installExitHooks();
+    } else {
+      this.removeExitHooks();
+    }
+  }
+
+  installExitHooks() {
+    if (this._exitHooks || this._closed) {
+      return;
+    }
+    this._exitHooks = true;
+    registerExitHooks(this);
+  }
+
+  removeExitHooks() {
+    if (!this._exitHooks) {
+      return;
+    }
+    this._exitHooks = false;
+    unregisterExitHooks(this);
+  }
+
+  // The spool is tagged with the configured default resource, so a pipeline only replays batches spooled by one
+  // configured for the same resource.
+  spool() {
+    const cfg = this._getConfig();
+    if (!cfg.spoolDir) {
+      return null;
+    }
+    const tag = spoolTag([cfg.resourceBaseUrl, cfg.resourceLogsPrefix, cfg.resourceId].join('\n'));
+    if (!this._spool || this._spool.dir !== path.resolve(String(cfg.spoolDir)) || this._spool.tag !== tag) {
+      this._spool = new Spool({ dir: cfg.spoolDir, maxBytes: cfg.spoolMaxBytes, tag });
+    }
+    this._spool.maxBytes = cfg.spoolMaxBytes;
+    return this._spool;
+  }
+
+  track(promise) {
+    const pending = promise
+      .catch((err) => {
+        debug(`cloud log post failed: ${errorMessage(err)}`);
+      })
+      .finally(() => {
+        this._inFlight.delete(pending);
+      });
+    this._inFlight.add(pending);
+  }
+
+  send(url, headers, payload, apiKeyRoute = null) {
+    this._activeSends += 1;
+    const delivered = this.deliver(url, headers, payload).then((result) => {
+      const spool = this.spool();
+      if (!spool || result.cancelled) {
+        return;
+      }
+      if (result.ok) {
+        this.replaySpool();
+      } else if (result.retryable) {
+        spool.append({
+          url,
+          headers,
+          apiKeyRoute,
+          payload,
+        });
+      }
+    });
+    this.track(delivered.finally(() => {
+      this._activeSends -= 1;
+      this.pump();
+    }));
+  }
+
+  replaySpool() {
+    const spool = this.spool();
+    if (!spool || !spool.hasPending()) {
+      return;
+    }
+    this.track(spool.replay((batch) => {
+      const headers = { ...batch.headers, 'x-api-key': spooledApiKey(this._getConfig(), batch.apiKeyRoute) || '' };
+      return this.deliver(batch.url, headers, batch.payload);
+    }));
+  }
+
+  failed(url, payload, failure) {
+    const records = payload.logs.length;
+    this.stats.countFailure(failure.statusCode || (failure.error && failure.error.code) || 'error', records);
+    try {
+      this.emit('deliveryError', {
+        url,
+        resourceId: payload.resource_id,
+        records,
+        ...failure,
+      });
+    } catch (err) {
+      debug(`deliveryError listener failed: ${errorMessage(err)}`);
+    }
+    return { ok: false, retryable: failure.retryable, statusCode: failure.statusCode, error: failure.error };
+  }
+
+  async deliver(url, headers, payload) {
+    const generation = this._generation;
+    // Once clearQueue() runs: a spool replay keeps the batch for later, a fresh post is dropped.
+    const cancelled = { ok: false, retryable: true, cancelled: true };
+    for (let attempt = 0; ; attempt += 1) {
+      const cfg = this._getConfig();
+      const attempts = attempt + 1;
+      let reason;
+      let statusCode;
+      let error;
+      let retryAfter = null;
+      const started = performance.now();
+      try {
+        const resp = await (this._transport || transport)({
+          url,
+          payload,
+          headers,
+          timeoutSeconds: cfg.timeoutSeconds,
+          verifySsl: cfg.verifySsl,
+        });
+        if (this._generation !== generation) {
+          return cancelled;
+        }
+        this.stats.countPost(performance.now() - started);
+        statusCode = Number(resp && resp.statusCode);
+        if (!(statusCode >= 400)) {
+          this.stats.count('delivered', payload.logs.length);
+          return { ok: true, statusCode };
+        }
+        if (!isRetryableStatus(statusCode)) {
+          debug(`cloud log post to ${url} failed: status=${statusCode}`);
+          return this.failed(url, payload, { statusCode, attempts, retryable: false });
+        }
+        reason = `status=${statusCode}`;
+        retryAfter = parseRetryAfter(responseHeader(resp, 'retry-after'));
+      } catch (err) {
+        if (this._generation !== generation) {
+          return cancelled;
+        }
+        this.stats.countPost(performance.now() - started);
+        if (!isRetryableError(err)) {
+          debug(`cloud log post to ${url} failed: ${errorMessage(err)}`);
+          return this.failed(url, payload, { error: err, attempts, retryable: false });
+        }
+        reason = errorMessage(err);
+        error = err;
+      }
+
+      if (attempt >= cfg.maxRetries) {
+        debug(`cloud log post to ${url} failed after ${attempts} attempt(s): ${reason}`);
+        return this.failed(url, payload, { statusCode, error, attempts, retryable: true });
+      }
+      if (retryAfter !== null && retryAfter > cfg.retryMaxSeconds) {
+        debug(`cloud log post to ${url} failed: ${reason}, Retry-After ${retryAfter}s exceeds retryMaxSeconds`);
+        return this.failed(url, payload, { statusCode, error, attempts, retryable: true });
+      }
+      const delay = retryAfter !== null
+        ? retryAfter
+        : backoffSeconds(attempt, cfg.retryBaseSeconds, cfg.retryMaxSeconds);
+      debug(`cloud log post to ${url} failed: ${reason}, retrying in ${delay.toFixed(2)}s`);
+      this.stats.count('retries');
+      await sleep(delay);
+      if (this._generation !== generation) {
+        return cancelled;
+      }
+    }
+  }
+}
+
+module.exports = {
+  DeliveryPipeline,
+  backoffSeconds,
+  buildPayload,
+  parseRetryAfter,
+  postJson,
+  sdkVersion,
+  setTransportForTests,
+};
@@ -0,0 +1,256 @@
+'use strict';
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+
+const { LEVEL_NAME_TO_NO } = require('./client');
+const { PrettyFormatter } = require('./handlers');
+
+const DEFAULT_PORT = 4790;
+const DEFAULT_MAX_LOGS = 1000;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const ROUTE = /^\/(u|team)\/([^/]+)\/resources\/([^/]+)\/logs\/?$/;
+
+// A resource is a bare id (any owner) or { id, user } / { id, team } to also check the owner in the URL.
+function compileResources(resources) {
+  if (!resources) {
+    return null;
+  }
+  return resources.map((resource) => {
+    if (typeof resource === 'string') {
+      return { id: resource, kind: null, owner: null };
+    }
+    if (!resource || !resource.id) {
+      throw new TypeError('dev server resources must be ids or { id, user } / { id, team } objects');
+    }
+    if (resource.user) {
+      return { id: String(resource.id), kind: 'u', owner: String(resource.user) };
+    }
+    if (resource.team) {
+      return { id: String(resource.id), kind: 'team', owner: String(resource.team) };
+    }
+    return { id: String(resource.id), kind: null, owner: null };
+  });
+}
+
+function resourceKnown(resources, route) {
+  if (!resources) {
+    return true;
+  }
+  return resources.some((resource) => resource.id === route.resourceId
+    && (resource.kind === null || (resource.kind === route.kind && resource.owner === route.owner)));
+}
+
+// Null when the path has malformed percent-encoding.
+function decodeRoute(match) {
+  try {
+    return {
+      kind: match[1],
+      owner: decodeURIComponent(match[2]),
+      resourceId: decodeURIComponent(match[3]),
+    };
+  } catch {
+    return null;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let bytes = 0;
+    req.on('data', (chunk) => {
+      bytes += chunk.length;
+      // Keep reading past the limit so the 413 response reaches the client.
+      if (bytes <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      if (bytes > MAX_BODY_BYTES) {
+        const err = new Error('payload too large');
+        err.statusCode = 413;
+        reject(err);
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Turns a posted entry back into a record so the handlers' PrettyFormatter can print it.
+function entryRecord(entry, resourceId) {
+  const details = entry.extra && typeof entry.extra === 'object' ? entry.extra : {};
+  const levelname = String(entry.level || 'info').toUpperCase();
+  const time = Date.parse(entry.ts);
+  return {
+    name: `${resourceId}/${entry.logger || details.logger || 'alshival'}`,
+    levelno: LEVEL_NAME_TO_NO[levelname] || LEVEL_NAME_TO_NO.INFO,
+    levelname,
+    message: String(entry.message || ''),
+    extra: details.extra && typeof details.extra === 'object' ? details.extra : {},
+    time: Number.isFinite(time) ? time : undefined,
+    stack_info: details.stack_info || null,
+    exception: details.exception || null,
+  };
+}
+
+class DevServer {
+  constructor({
+    apiKey = null,
+    resources = null,
+    store = null,
+    print = true,
+    output = process.stdout,
+    colors,
+    maxLogs = DEFAULT_MAX_LOGS,
+  } = {}) {
+    this.apiKeys = apiKey === null || apiKey === undefined ? null : [].concat(apiKey).map(String);
+    this.resources = compileResources(resources);
+    this.store = store ? path.resolve(String(store)) : null;
+    this.print = Boolean(print);
+    this.output = output;
+    // Entries were redacted by the sending client already.
+    this.formatter = new PrettyFormatter({
+      colors: colors === undefined ? Boolean(output && output.isTTY) : colors,
+      redact: false,
+    });
+    this.maxLogs = Math.max(0, Number(maxLogs) || 0);
+    this.logs = [];
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((err) => {
+        const statusCode = err.statusCode || 500;
+        this.reply(req, res, statusCode, { error: statusCode === 413 ? 'payload_too_large' : 'server_error' });
+      });
+    });
+    this.url = null;
+  }
+
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        const address = this.server.address();
+        const urlHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+        this.port = address.port;
+        this.url = `http://${urlHost}:${address.port}`;
+        resolve(this);
+      });
+    });
+  }
+
+  // The resource URL to put in ALSHIVAL_RESOURCE for this server.
+  resourceUrl(resourceId, { user = 'dev', team = null } = {}) {
+    const owner = team ? `team/${encodeURIComponent(team)}` : `u/${encodeURIComponent(user)}`;
+    return `${this.url}/${owner}/resources/${encodeURIComponent(resourceId)}/`;
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = ROUTE.exec(pathname);
+    if (!match) {
+      this.reply(req, res, 404, {
+        error: 'not_found',
+        detail: 'expected /u/<user>/resources/<id>/logs/ or /team/<team>/resources/<id>/logs/',
+      });
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('allow', 'POST');
+      this.reply(req, res, 405, { error: 'method_not_allowed' });
+      return;
+    }
+
+    const route = decodeRoute(match);
+    if (!route) {
+      this.reply(req, res, 404, { error: 'not_found', detail: 'malformed percent-encoding in the URL' });
+      return;
+    }
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey) {
+      this.reply(req, res, 401, { error: 'missing_api_key' });
+      return;
+    }
+    if (this.apiKeys && !this.apiKeys.includes(apiKey)) {
+      this.reply(req, res, 403, { error: 'invalid_api_key' });
+      return;
+    }
+    if (!resourceKnown(this.resources, route)) {
+      this.reply(req, res, 404, { error: 'invalid_resource' });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (err) {
+      if (err.statusCode) {
+        throw err;
+      }
+      this.reply(req, res, 400, { error: 'invalid_json' });
+      return;
+    }
+    if (!payload || !Array.isArray(payload.logs)) {
+      this.reply(req, res, 400, { error: 'invalid_payload', detail: 'expected an object with a logs array' });
+      return;
+    }
+    if (payload.resource_id !== undefined && String(payload.resource_id) !== route.resourceId) {
+      this.reply(req, res, 400, { error: 'invalid_payload', detail: 'resource_id does not match the URL' });
+      return;
+    }
+
+    this.receive(route, payload);
+    this.reply(req, res, 202, { accepted: payload.logs.length });
+  }
+
+  receive(route, payload) {
+    const owner = `${route.kind}/${route.owner}`;
+    const received = payload.logs.map((entry) => ({ resourceId: route.resourceId, owner, entry }));
+    this.logs.push(...received);
+    if (this.logs.length > this.maxLogs) {
+      this.logs.splice(0, this.logs.length - this.maxLogs);
+    }
+    if (this.store) {
+      fs.mkdirSync(path.dirname(this.store), { recursive: true });
+      fs.appendFileSync(this.store, received.map((item) => `${JSON.stringify(item)}\n`).join(''));
+    }
+    if (this.print) {
+      for (const { entry } of received) {
+        this.output.write(`${this.formatter.format(entryRecord(entry, route.resourceId))}\n`);
+      }
+    }
+  }
+
+  reply(req, res, statusCode, body) {
+    if (this.print && statusCode >= 400) {
+      this.output.write(`${req.method} ${req.url} -> ${statusCode} ${body.error}\n`);
+    }
+    res.statusCode = statusCode;
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify(body));
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+}
+
+// Stand-in for the Alshival resource logs endpoint, for local development and CI. Point ALSHIVAL_RESOURCE at
+// `server.resourceUrl(id)`. `apiKey` (a key or list of keys) and `resources` restrict what is accepted; otherwise any
+// key and resource are. Received entries are pretty-printed to `output`, kept in `server.logs` (the latest `maxLogs`,
+// default 1000) and, with `store`, appended to a JSON-lines file.
+function startDevServer({ port = DEFAULT_PORT, host = '127.0.0.1', ...options } = {}) {
+  return new DevServer(options).listen(port, host);
+}
+
+module.exports = {
+  DEFAULT_MAX_LOGS,
+  DEFAULT_PORT,
+  DevServer,
+  startDevServer,
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+const DISABLED_VALUES = new Set(['', '0', 'false', 'no', 'off']);
+
+function debugEnabled() {
+  return !DISABLED_VALUES.has(String(process.env.ALSHIVAL_DEBUG || '').trim().toLowerCase());
+}
+
+// SDK-internal diagnostics (failed posts, missing resources, dropped records), written to stderr when
+// ALSHIVAL_DEBUG is set. They never go through the SDK's own loggers, so they cannot loop back into delivery.
+function debug(msg) {
+  if (!debugEnabled()) {
+    return;
+  }
+  try {
+    process.stderr.write(`[alshival] ${msg}\n`);
+  } catch {
+    // Diagnostics must never break the caller.
+  }
+}
+
+function errorMessage(err) {
+  return err && err.message ? err.message : String(err);
+}
+
+module.exports = {
+  debug,
+  debugEnabled,
+  errorMessage,
+};
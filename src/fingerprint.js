@@ -0,0 +1,127 @@
+'use strict';
+
+const crypto = require('node:crypto');
+
+const MAX_FRAMES = 10;
+const MAX_TRACKED_FINGERPRINTS = 1000;
+
+function errorType(exception) {
+  const firstLine = String(exception).split('\n', 1)[0].trim();
+  const match = /^([\w$.]+)(?::|$)/.exec(firstLine);
+  return match ? match[1] : 'Error';
+}
+
+function normalizeFrame(line) {
+  return line
+    .trim()
+    .replace(/^at\s+/, '')
+    .replace(/^async\s+/, '')
+    .replace(/file:\/\//g, '')
+    .split(process.cwd()).join('.')
+    .replace(/\S*node_modules[\\/]/g, '')
+    .replace(/:\d+(:\d+)?/g, '')
+    .replace(/[()]/g, '')
+    .trim();
+}
+
+function fingerprintException(exception) {
+  if (!exception) {
+    return null;
+  }
+  const lines = String(exception).split('\n');
+  const frames = lines
+    .filter((line) => /^\s*at\s/.test(line))
+    .slice(0, MAX_FRAMES)
+    .map(normalizeFrame);
+  const basis = frames.length > 0 ? frames : [lines[0].trim()];
+  return crypto
+    .createHash('sha1')
+    .update([errorType(exception), ...basis].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+class ErrorDeduper {
+  constructor(getConfig, now = () => Date.now()) {
+    this._getConfig = getConfig;
+    this._now = now;
+    this._seen = new Map();
+  }
+
+  allow(record, handler) {
+    if (record.alshival_summary || !record.exception) {
+      return true;
+    }
+    const fingerprint = fingerprintException(record.exception);
+    record.fingerprint = fingerprint;
+
+    const windowSeconds = Number(this._getConfig().dedupeWindowSeconds) || 0;
+    if (windowSeconds <= 0) {
+      return true;
+    }
+
+    const key = `${handler.resourceId || ''}\n${record.levelno}\n${fingerprint}`;
+    const now = this._now();
+    const seen = this._seen.get(key);
+    if (seen) {
+      seen.occurrences += 1;
+      seen.lastSeen = now;
+      seen.record = record;
+      seen.handler = handler;
+      return false;
+    }
+
+    if (this._seen.size >= MAX_TRACKED_FINGERPRINTS) {
+      this.release(this._seen.keys().next().value);
+    }
+    const entry = {
+      occurrences: 1,
+      firstSeen: now,
+      lastSeen: now,
+      record,
+      handler,
+      timer: setTimeout(() => this.release(key), windowSeconds * 1000),
+    };
+    entry.timer.unref();
+    this._seen.set(key, entry);
+    return true;
+  }
+
+  release(key) {
+    const entry = this._seen.get(key);
+    if (!entry) {
+      return;
+    }
+    clearTimeout(entry.timer);
+    this._seen.delete(key);
+    if (entry.occurrences <= 1) {
+      return;
+    }
+    entry.handler.emit({
+      ...entry.record,
+      occurrences: entry.occurrences,
+      first_seen: new Date(entry.firstSeen).toISOString(),
+      last_seen: new Date(entry.lastSeen).toISOString(),
+      alshival_summary: true,
+    });
+  }
+
+  flush() {
+    for (const key of [...this._seen.keys()]) {
+      this.release(key);
+    }
+  }
+
+  // Forgets every fingerprint without sending the pending repeat summaries.
+  reset() {
+    for (const entry of this._seen.values()) {
+      clearTimeout(entry.timer);
+    }
+    this._seen.clear();
+  }
+}
+
+module.exports = {
+  ErrorDeduper,
+  fingerprintException,
+};
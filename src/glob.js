@@ -0,0 +1,21 @@
+'use strict';
+
+function compileGlob(pattern) {
+  const source = String(pattern)
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[\\^$.+()|[\]{}]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  compileGlob,
+};
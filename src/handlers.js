@@ -0,0 +1,395 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { inspect } = require('node:util');
+
+const { LEVEL_NAME_TO_NO, coerceLevel, getConfig } = require('./client');
+const { debug, errorMessage } = require('./diagnostics');
+const { buildRedactConfig, redactString, redactValue } = require('./redaction');
+const { DEFAULT_SERIALIZE_LIMITS, serializeValue } = require('./serialize');
+
+const LEVEL_COLORS = {
+  DEBUG: '\u001b[90m',
+  INFO: '\u001b[36m',
+  WARNING: '\u001b[33m',
+  ERROR: '\u001b[31m',
+  ALERT: '\u001b[35m',
+  CRITICAL: '\u001b[1;31m',
+};
+const RESET = '\u001b[0m';
+const DIM = '\u001b[2m';
+
+const OPTIONAL_JSON_FIELDS = ['trace_id', 'span_id', 'fingerprint', 'stack_info', 'exception'];
+
+function recordTime(record) {
+  return new Date(Number.isFinite(record.time) ? record.time : Date.now());
+}
+
+function redactText(value, redact) {
+  return redact.enabled && typeof value === 'string' ? redactString(value, redact) : value;
+}
+
+function exceptionLines(record, redact) {
+  return redactText([record.stack_info, record.exception].filter(Boolean).join('\n'), redact);
+}
+
+function useColors(stream) {
+  if (process.env.NO_COLOR) {
+    return false;
+  }
+  if (process.env.FORCE_COLOR && process.env.FORCE_COLOR !== '0') {
+    return true;
+  }
+  return Boolean(stream && stream.isTTY);
+}
+
+function levelOrNotSet(level) {
+  const resolved = coerceLevel(level);
+  return resolved === null ? LEVEL_NAME_TO_NO.NOTSET : Number(resolved);
+}
+
+// Passes records from the named logger and its dotted children, e.g. new Filter('payments') passes
+// 'payments' and 'payments.stripe' but not 'paymentsx'. An empty name passes everything.
+class Filter {
+  constructor(name = '') {
+    this.name = String(name || '');
+  }
+
+  filter(record) {
+    if (!this.name) {
+      return true;
+    }
+    const loggerName = String(record.name || '');
+    return loggerName === this.name || loggerName.startsWith(`${this.name}.`);
+  }
+}
+
+// Formats a record from a template with {field} placeholders: time, level, levelname, name, message, module,
+// function, line and path. Exceptions and stack info follow on their own lines.
+// Formatters redact like the cloud handler does, with the `redact` configuration of the client whose logger the
+// handler was added to (`cfg`, the default client's when not given) unless `redact` (redact options, or false) is
+// passed. A custom `redactor` only applies to cloud entries.
+class Formatter {
+  constructor({ template = '{time} {levelname} {name}: {message}', redact } = {}) {
+    this.template = String(template);
+    this.redact = redact === undefined ? null : buildRedactConfig(redact);
+  }
+
+  redaction(cfg = getConfig()) {
+    return this.redact || cfg.redact || { enabled: false };
+  }
+
+  fields(record, redact = this.redaction()) {
+    return {
+      time: recordTime(record).toISOString(),
+      level: String(record.levelname || '').toLowerCase(),
+      levelname: record.levelname,
+      name: record.name,
+      message: redactText(record.message, redact),
+      module: record.module,
+      function: record.function,
+      line: record.line,
+      path: record.path,
+    };
+  }
+
+  format(record, cfg = getConfig()) {
+    const redact = this.redaction(cfg);
+    const fields = this.fields(record, redact);
+    const text = this.template.replace(/\{(\w+)\}/g, (match, key) => {
+      const value = fields[key];
+      return value === undefined || value === null ? '' : String(value);
+    });
+    const details = exceptionLines(record, redact);
+    return details ? `${text}\n${details}` : text;
+  }
+}
+
+// One JSON object per record, with `extra` fields merged in next to ts/level/logger/message.
+class JsonFormatter extends Formatter {
+  constructor({ serialize = DEFAULT_SERIALIZE_LIMITS, redact } = {}) {
+    super({ redact });
+    this.serialize = serialize;
+  }
+
+  format(record, cfg = getConfig()) {
+    const redact = this.redaction(cfg);
+    let extra = serializeValue(record.extra || {}, this.serialize);
+    if (redact.enabled) {
+      extra = redactValue(extra, redact);
+    }
+    const line = {
+      ...(extra && typeof extra === 'object' && !Array.isArray(extra) ? extra : { extra }),
+      ts: recordTime(record).toISOString(),
+      level: String(record.levelname || 'INFO').toLowerCase(),
+      logger: record.name,
+      message: redactText(record.message, redact),
+    };
+    const keys = record.line ? ['module', 'function', 'line', 'path', ...OPTIONAL_JSON_FIELDS] : OPTIONAL_JSON_FIELDS;
+    for (const key of keys) {
+      if (record[key] !== undefined && record[key] !== null) {
+        line[key] = redactText(record[key], redact);
+      }
+    }
+    return JSON.stringify(line);
+  }
+}
+
+// Human-readable single line per record: time, level, logger, message, then extra fields as key=value.
+class PrettyFormatter extends Formatter {
+  constructor({ colors = false, redact } = {}) {
+    super({ redact });
+    this.colors = Boolean(colors);
+  }
+
+  paint(code, text) {
+    return this.colors ? `${code}${text}${RESET}` : text;
+  }
+
+  format(record, cfg = getConfig()) {
+    const redact = this.redaction(cfg);
+    const time = recordTime(record).toISOString().slice(11, 23);
+    const levelName = String(record.levelname || 'INFO');
+    const parts = [
+      this.paint(DIM, time),
+      this.paint(LEVEL_COLORS[levelName] || '', levelName.padEnd(8)),
+      this.paint(DIM, `${record.name}:`),
+      redactText(record.message, redact),
+    ];
+    // Redaction walks plain data, so extra is serialized first.
+    const extra = redact.enabled ? redactValue(serializeValue(record.extra || {}), redact) : record.extra;
+    for (const [key, value] of Object.entries(extra || {})) {
+      const text = typeof value === 'string' && !/\s/.test(value)
+        ? value
+        : inspect(value, { breakLength: Infinity, colors: this.colors, depth: 3 });
+      parts.push(`${this.paint(DIM, `${key}=`)}${text}`);
+    }
+    const details = exceptionLines(record, redact);
+    return details ? `${parts.join(' ')}\n${this.paint(DIM, details)}` : parts.join(' ');
+  }
+}
+
+// Base class for handlers: a minimum level, filters and a formatter around `emit(record)`.
+// Filters are objects with `filter(record)` or plain functions; returning false drops the record.
+class Handler {
+  constructor({
+    level = LEVEL_NAME_TO_NO.NOTSET,
+    filters = [],
+    formatter = null,
+  } = {}) {
+    this.level = levelOrNotSet(level);
+    this.filters = [...filters];
+    this.formatter = formatter;
+    this._getConfig = getConfig;
+  }
+
+  // Called by the logger the handler is added to, so formatting follows that client's configuration.
+  bindConfig(getRuntimeConfig) {
+    this._getConfig = getRuntimeConfig;
+  }
+
+  setLevel(level) {
+    this.level = levelOrNotSet(level);
+  }
+
+  addFilter(filter) {
+    if (!this.filters.includes(filter)) {
+      this.filters.push(filter);
+    }
+    return filter;
+  }
+
+  removeFilter(filter) {
+    const index = this.filters.indexOf(filter);
+    if (index === -1) {
+      return false;
+    }
+    this.filters.splice(index, 1);
+    return true;
+  }
+
+  filter(record) {
+    for (const current of this.filters) {
+      const passed = typeof current === 'function' ? current(record) : current.filter(record);
+      if (!passed) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  setFormatter(formatter) {
+    this.formatter = formatter;
+  }
+
+  format(record) {
+    return (this.formatter || this.defaultFormatter()).format(record, this._getConfig());
+  }
+
+  defaultFormatter() {
+    if (!this._defaultFormatter) {
+      this._defaultFormatter = new Formatter();
+    }
+    return this._defaultFormatter;
+  }
+
+  handle(record) {
+    if (record.levelno < this.level) {
+      return false;
+    }
+    try {
+      if (!this.filter(record)) {
+        return false;
+      }
+      this.emit(record);
+      return true;
+    } catch (err) {
+      this.handleError(err, record);
+      return false;
+    }
+  }
+
+  emit() {
+    throw new Error('Handler subclasses must implement emit(record)');
+  }
+
+  handleError(err) {
+    // Never fail logger flow due to a local sink.
+    debug(`${this.constructor.name} failed: ${errorMessage(err)}`);
+  }
+
+  flush() {}
+
+  close() {}
+}
+
+class StreamHandler extends Handler {
+  constructor({ stream = process.stderr, ...options } = {}) {
+    super(options);
+    this.stream = stream;
+  }
+
+  emit(record) {
+    this.stream.write(`${this.format(record)}\n`);
+  }
+}
+
+// Colorized human-readable output; colors follow the stream's TTY, NO_COLOR and FORCE_COLOR unless `colors` is set.
+class ConsoleHandler extends StreamHandler {
+  constructor({
+    stream = process.stderr,
+    colors,
+    redact,
+    ...options
+  } = {}) {
+    super({ stream, ...options });
+    this._defaultFormatter = new PrettyFormatter({ colors: colors === undefined ? useColors(stream) : colors, redact });
+  }
+}
+
+class JsonLinesHandler extends StreamHandler {
+  constructor({ stream = process.stdout, redact, ...options } = {}) {
+    super({ stream, ...options });
+    this._defaultFormatter = new JsonFormatter({ redact });
+  }
+}
+
+// Appends formatted records to `filename` and rotates it to `filename.1`, `filename.2`, ... (keeping `backupCount`)
+// once it would exceed `maxBytes` or `intervalSeconds` have passed since it was started. Writes are synchronous so
+// nothing is lost when the process crashes.
+class RotatingFileHandler extends Handler {
+  constructor({
+    filename,
+    maxBytes = 0,
+    intervalSeconds = 0,
+    backupCount = 5,
+    now = () => Date.now(),
+    ...options
+  } = {}) {
+    super(options);
+    if (!filename) {
+      throw new TypeError('RotatingFileHandler requires a filename');
+    }
+    this.filename = path.resolve(String(filename));
+    this.maxBytes = Math.max(0, Number(maxBytes) || 0);
+    this.intervalSeconds = Math.max(0, Number(intervalSeconds) || 0);
+    this.backupCount = Math.max(0, Math.trunc(Number(backupCount) || 0));
+    this._now = now;
+    this._fd = null;
+    this._size = 0;
+    this._rolloverAt = Infinity;
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    this._fd = fs.openSync(this.filename, 'a');
+    const stat = fs.fstatSync(this._fd);
+    this._size = stat.size;
+    // An existing file keeps the schedule it was started with.
+    const startedAt = stat.size > 0 ? Math.min(stat.mtimeMs, this._now()) : this._now();
+    this._rolloverAt = this.intervalSeconds > 0 ? startedAt + (this.intervalSeconds * 1000) : Infinity;
+  }
+
+  shouldRollover(bytes) {
+    if (this._size === 0) {
+      return false;
+    }
+    if (this.maxBytes > 0 && this._size + bytes > this.maxBytes) {
+      return true;
+    }
+    return this._now() >= this._rolloverAt;
+  }
+
+  doRollover() {
+    this.close();
+    if (this.backupCount === 0) {
+      fs.rmSync(this.filename, { force: true });
+    } else {
+      fs.rmSync(`${this.filename}.${this.backupCount}`, { force: true });
+      for (let index = this.backupCount - 1; index >= 1; index -= 1) {
+        const source = `${this.filename}.${index}`;
+        if (fs.existsSync(source)) {
+          fs.renameSync(source, `${this.filename}.${index + 1}`);
+        }
+      }
+      fs.renameSync(this.filename, `${this.filename}.1`);
+    }
+    this.open();
+    if (this.intervalSeconds > 0) {
+      this._rolloverAt = this._now() + (this.intervalSeconds * 1000);
+    }
+  }
+
+  emit(record) {
+    if (this._fd === null) {
+      this.open();
+    }
+    const line = `${this.format(record)}\n`;
+    const bytes = Buffer.byteLength(line);
+    if (this.shouldRollover(bytes)) {
+      this.doRollover();
+    }
+    fs.writeSync(this._fd, line);
+    this._size += bytes;
+  }
+
+  close() {
+    if (this._fd !== null) {
+      fs.closeSync(this._fd);
+      this._fd = null;
+    }
+  }
+}
+
+module.exports = {
+  ConsoleHandler,
+  Filter,
+  Formatter,
+  Handler,
+  JsonFormatter,
+  JsonLinesHandler,
+  PrettyFormatter,
+  RotatingFileHandler,
+  StreamHandler,
+};
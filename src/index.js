@@ -3,43 +3,153 @@
 const {
   ALERT_LEVEL,
   buildClientConfigFromEnv,
-  buildResourceLogsEndpoint,
   coerceLevel,
-  configure,
   getConfig,
+  getLoadDiagnostics,
+  loadClientConfig,
   parseResourceReference,
-  setEnabled,
 } = require('./client');
 
 const {
+  getContext,
+  runWithContext,
+  setContext,
+} = require('./context');
+
+const { startDevServer } = require('./dev-server');
+const {
+  ConsoleHandler,
+  Filter,
+  Formatter,
+  Handler,
+  JsonFormatter,
+  JsonLinesHandler,
+  PrettyFormatter,
+  RotatingFileHandler,
+  StreamHandler,
+} = require('./handlers');
+const { AlshivalClient, createClient } = require('./instance');
+const {
+  CloudLogHandler,
+  defaultRuntime,
   log,
   setTransportForTests,
 } = require('./logger');
+const middleware = require('./middleware');
+const { captureProcessErrors } = require('./process-errors');
+
+// The top-level API is a client over the module-level configuration (ALSHIVAL_* env vars and configure()).
+const defaultClient = new AlshivalClient({}, {
+  config: getConfig(),
+  diagnostics: getLoadDiagnostics(),
+  runtime: defaultRuntime,
+  log,
+});
+
+function configure(options) {
+  return defaultClient.configure(options);
+}
+
+function getDiagnostics() {
+  return defaultClient.getDiagnostics();
+}
+
+function getStats() {
+  return defaultClient.getStats();
+}
+
+function resetStats() {
+  defaultClient.resetStats();
+}
+
+function on(event, listener) {
+  defaultClient.on(event, listener);
+  return module.exports;
+}
+
+function once(event, listener) {
+  defaultClient.once(event, listener);
+  return module.exports;
+}
+
+function off(event, listener) {
+  defaultClient.off(event, listener);
+  return module.exports;
+}
+
+function flush(options) {
+  return defaultClient.flush(options);
+}
+
+function shutdown(options) {
+  return defaultClient.shutdown(options);
+}
 
 function getLogger(name, options) {
-  return log.getLogger(name, options);
+  return defaultClient.getLogger(name, options);
 }
 
 function handler(options) {
-  return log.handler(options);
+  return defaultClient.handler(options);
 }
 
 function attach(logger, options) {
-  return log.attach(logger, options);
+  return defaultClient.attach(logger, options);
+}
+
+function detach(logger) {
+  return defaultClient.detach(logger);
+}
+
+function setEnabled(enabled) {
+  defaultClient.setEnabled(enabled);
+}
+
+function buildResourceLogsEndpoint(resourceId) {
+  return defaultClient.buildResourceLogsEndpoint(resourceId);
 }
 
 module.exports = {
   ALERT_LEVEL,
+  AlshivalClient,
+  CloudLogHandler,
+  ConsoleHandler,
+  Filter,
+  Formatter,
+  Handler,
+  JsonFormatter,
+  JsonLinesHandler,
+  PrettyFormatter,
+  RotatingFileHandler,
+  StreamHandler,
   attach,
   buildClientConfigFromEnv,
   buildResourceLogsEndpoint,
+  captureProcessErrors,
   coerceLevel,
   configure,
+  createClient,
+  detach,
+  flush,
   getConfig,
+  getContext,
+  getDiagnostics,
   getLogger,
+  getStats,
   handler,
+  loadClientConfig,
   log,
+  middleware,
+  off,
+  on,
+  once,
   parseResourceReference,
+  resetStats,
+  runWithContext,
+  setContext,
   setEnabled,
+  shutdown,
+  startDevServer,
+  // Kept for existing test suites; require('@alshival.ai/alshival/testing').setTransport is the supported name.
   _setTransportForTests: setTransportForTests,
 };
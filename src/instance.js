@@ -0,0 +1,127 @@
+'use strict';
+
+const {
+  applyConfigOptions,
+  buildResourceLogsEndpoint,
+  configResult,
+  defaultClientConfig,
+  loadClientConfig,
+  validateConfig,
+} = require('./client');
+const { AlshivalLogger, createRuntime } = require('./logger');
+const middleware = require('./middleware');
+const { captureProcessErrors } = require('./process-errors');
+
+class AlshivalClient {
+  // `config`, `diagnostics`, `runtime` and `log` are only passed for the default client, which wraps the
+  // module-level state.
+  constructor(options = {}, {
+    config = null,
+    diagnostics = [],
+    runtime = null,
+    log = null,
+  } = {}) {
+    const { transport = null, fromEnv = false, ...configOptions } = options;
+    let loaded = { config, diagnostics };
+    if (!config) {
+      // Isolated clients start from the defaults so a library's client never picks up the host app's settings.
+      loaded = fromEnv ? loadClientConfig() : { config: defaultClientConfig(), diagnostics: [] };
+    }
+    this._config = loaded.config;
+    this._loadDiagnostics = loaded.diagnostics;
+    this._runtime = runtime || createRuntime(() => this._config, { transport });
+    this.log = log || new AlshivalLogger('alshival', { runtime: this._runtime });
+    this.middleware = middleware.forLogger(this.log);
+    if (!config) {
+      this._loadDiagnostics.push(...applyConfigOptions(this._config, configOptions));
+      this._runtime.delivery.syncExitHooks();
+    }
+  }
+
+  // Returns { ok, diagnostics }: ok is false when an option was rejected; warnings point at settings that are
+  // ignored or keep records from being delivered.
+  configure(options = {}) {
+    const diagnostics = applyConfigOptions(this._config, options);
+    this._runtime.delivery.syncExitHooks();
+    return configResult([...diagnostics, ...validateConfig(this._config)]);
+  }
+
+  // Problems found while loading the config file and ALSHIVAL_* variables, plus the current configuration's warnings.
+  getDiagnostics() {
+    return [...this._loadDiagnostics, ...validateConfig(this._config)];
+  }
+
+  getConfig() {
+    return this._config;
+  }
+
+  setEnabled(enabled) {
+    this._config.enabled = Boolean(enabled);
+  }
+
+  buildResourceLogsEndpoint(resourceId) {
+    return buildResourceLogsEndpoint(resourceId, this._config);
+  }
+
+  // Counters since the client was created (or since resetStats()); see DeliveryStats.
+  getStats() {
+    return this._runtime.delivery.getStats();
+  }
+
+  resetStats() {
+    this._runtime.delivery.stats.reset();
+  }
+
+  // Delivery events; 'deliveryError' fires when a post fails after its retries.
+  on(event, listener) {
+    this._runtime.delivery.on(event, listener);
+    return this;
+  }
+
+  once(event, listener) {
+    this._runtime.delivery.once(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this._runtime.delivery.off(event, listener);
+    return this;
+  }
+
+  flush(options) {
+    return this._runtime.delivery.flush(options);
+  }
+
+  shutdown(options) {
+    return this._runtime.delivery.shutdown(options);
+  }
+
+  getLogger(name, options) {
+    return this.log.getLogger(name, options);
+  }
+
+  handler(options) {
+    return this.log.handler(options);
+  }
+
+  attach(logger, options) {
+    return this.log.attach(logger, options);
+  }
+
+  detach(logger) {
+    return this.log.detach(logger);
+  }
+
+  captureProcessErrors(options = {}) {
+    return captureProcessErrors({ logger: this.log, ...options });
+  }
+}
+
+function createClient(options = {}) {
+  return new AlshivalClient(options);
+}
+
+module.exports = {
+  AlshivalClient,
+  createClient,
+};
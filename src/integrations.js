@@ -0,0 +1,164 @@
+'use strict';
+
+const { format } = require('node:util');
+
+const { ALERT_LEVEL, LEVEL_NAME_TO_NO, coerceLevel } = require('./client');
+const { buildIntegrationRecord, log } = require('./logger');
+
+// pino and bunyan share the same numeric scale: trace 10, debug 20, info 30, warn 40, error 50, fatal 60.
+const NUMERIC_LEVEL_THRESHOLDS = [
+  [60, LEVEL_NAME_TO_NO.CRITICAL],
+  [50, LEVEL_NAME_TO_NO.ERROR],
+  [40, LEVEL_NAME_TO_NO.WARNING],
+  [30, LEVEL_NAME_TO_NO.INFO],
+];
+
+// Level names used by pino, bunyan, winston's npm levels and winston's syslog levels.
+const NAMED_LEVELS = {
+  emerg: LEVEL_NAME_TO_NO.CRITICAL,
+  crit: LEVEL_NAME_TO_NO.CRITICAL,
+  critical: LEVEL_NAME_TO_NO.CRITICAL,
+  fatal: LEVEL_NAME_TO_NO.CRITICAL,
+  alert: ALERT_LEVEL,
+  error: LEVEL_NAME_TO_NO.ERROR,
+  warn: LEVEL_NAME_TO_NO.WARNING,
+  warning: LEVEL_NAME_TO_NO.WARNING,
+  notice: LEVEL_NAME_TO_NO.INFO,
+  info: LEVEL_NAME_TO_NO.INFO,
+  http: LEVEL_NAME_TO_NO.INFO,
+  verbose: LEVEL_NAME_TO_NO.DEBUG,
+  debug: LEVEL_NAME_TO_NO.DEBUG,
+  silly: LEVEL_NAME_TO_NO.DEBUG,
+  trace: LEVEL_NAME_TO_NO.DEBUG,
+};
+
+const TRACE_FIELDS = ['trace_id', 'span_id', 'trace_flags'];
+
+function mapLevel(level, levels = {}) {
+  if (levels && Object.prototype.hasOwnProperty.call(levels, level)) {
+    const mapped = coerceLevel(levels[level]);
+    return mapped === null ? null : Number(mapped);
+  }
+  if (typeof level === 'number' && Number.isFinite(level)) {
+    for (const [threshold, levelNo] of NUMERIC_LEVEL_THRESHOLDS) {
+      if (level >= threshold) {
+        return levelNo;
+      }
+    }
+    return LEVEL_NAME_TO_NO.DEBUG;
+  }
+  const name = String(level || '').trim().toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(NAMED_LEVELS, name)) {
+    return NAMED_LEVELS[name];
+  }
+  return LEVEL_NAME_TO_NO.INFO;
+}
+
+function messageText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'string' ? value : format(value);
+}
+
+function timeOf(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const time = value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : Date.parse(value));
+  return Number.isFinite(time) ? time : null;
+}
+
+function traceOf(fields) {
+  if (!fields.trace_id || !fields.span_id) {
+    return null;
+  }
+  const trace = {};
+  for (const key of TRACE_FIELDS) {
+    if (fields[key] !== undefined) {
+      trace[key] = String(fields[key]);
+    }
+  }
+  return trace;
+}
+
+function errorOf(value) {
+  if (!value || typeof value !== 'object') {
+    return { exception: null, fields: value };
+  }
+  const { stack, ...fields } = value;
+  const exception = typeof stack === 'string' && stack ? stack : null;
+  // Keep type/code/etc. in extra; the stack is already sent as the record's exception.
+  return { exception, fields: value instanceof Error ? { name: value.name, message: value.message, ...fields } : fields };
+}
+
+// pino and bunyan write one JSON object per record, with the message, level and bindings merged together.
+function recordFromJsonLine(line, {
+  name = null,
+  levels,
+  messageKey = 'msg',
+  errorKey = 'err',
+  omitKeys = [],
+} = {}) {
+  const { [messageKey]: message, [errorKey]: error, level, time, ...rest } = line;
+  const levelno = mapLevel(level, levels);
+  if (levelno === null) {
+    return null;
+  }
+  const extra = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (!omitKeys.includes(key) && !TRACE_FIELDS.includes(key)) {
+      extra[key] = value;
+    }
+  }
+  const { exception, fields } = errorOf(error);
+  if (fields !== undefined) {
+    extra[errorKey] = fields;
+  }
+  let text = messageText(message);
+  if (!text && error && typeof error === 'object' && error.message) {
+    text = String(error.message);
+  }
+  return {
+    name: name || line.name,
+    levelno,
+    message: text,
+    extra,
+    exception,
+    time: timeOf(time),
+    trace: traceOf(line),
+  };
+}
+
+// Shared by the pino, winston and bunyan integrations: builds a CloudLogHandler and sends records through it,
+// so they get the same filtering, sampling, redaction and delivery as the built-in logger.
+function createForwarder({
+  cloudLevel,
+  resourceId = null,
+  client = null,
+} = {}) {
+  const logger = client ? client.log : log;
+  const handler = logger.handler({ cloudLevel, resourceId });
+  return {
+    handler,
+    forward(fields) {
+      if (!fields) {
+        return;
+      }
+      handler.handle(buildIntegrationRecord(fields));
+    },
+    flush(options) {
+      return logger.flush(options);
+    },
+  };
+}
+
+module.exports = {
+  createForwarder,
+  errorOf,
+  mapLevel,
+  messageText,
+  recordFromJsonLine,
+  timeOf,
+  traceOf,
+};
@@ -1,11 +1,8 @@
 'use strict';
 
-const fs = require('node:fs');
-const http = require('node:http');
-const https = require('node:https');
-const path = require('node:path');
-const { format } = require('node:util');
-const { URL } = require('node:url');
+const { Console } = require('node:console');
+const { Writable } = require('node:stream');
+const { format, inspect } = require('node:util');
 
 const {
   ALERT_LEVEL,
@@ -14,6 +11,17 @@ const {
   coerceLevel,
   getConfig,
 } = require('./client');
+const { captureCallSite } = require('./callsite');
+const { getContext } = require('./context');
+const { DeliveryPipeline, setTransportForTests } = require('./delivery');
+const { debug } = require('./diagnostics');
+const { ErrorDeduper } = require('./fingerprint');
+const { Handler } = require('./handlers');
+const { redactEntry } = require('./redaction');
+const { matchRoutes } = require('./routing');
+const { CloudSampler } = require('./sampling');
+const { serializeValue } = require('./serialize');
+const { activeTraceContext } = require('./trace');
 
 const LEVEL_NO_TO_NAME = {
   0: 'NOTSET',
@@ -27,41 +35,30 @@ const LEVEL_NO_TO_NAME = {
 
 const ATTACH_STATE = Symbol('alshivalAttachState');
 
-function safeValue(value) {
-  if (
-    value === null
-    || value === undefined
-    || typeof value === 'string'
-    || typeof value === 'number'
-    || typeof value === 'boolean'
-  ) {
-    return value;
-  }
-  if (Array.isArray(value)) {
-    return value.map((item) => safeValue(item));
-  }
-  if (typeof value === 'object') {
-    const out = {};
-    for (const [key, item] of Object.entries(value)) {
-      out[String(key)] = safeValue(item);
-    }
-    return out;
-  }
-  return String(value);
+function contextFields() {
+  const fields = getContext();
+  // The W3C traceparent is surfaced as trace_id/span_id/trace_flags instead.
+  delete fields.traceparent;
+  return fields;
 }
 
-function sdkVersion() {
-  try {
-    const packageJsonPath = path.join(__dirname, '..', 'package.json');
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-    return String(packageJson.version || 'unknown');
-  } catch {
-    return 'unknown';
+function withTraceContext(record) {
+  const trace = activeTraceContext();
+  if (trace) {
+    Object.assign(record, trace);
   }
+  return record;
 }
 
-function debug(msg) {
-  return;
+function withCallSite(record, cfg) {
+  if (cfg.callSiteLevel === null || cfg.callSiteLevel === undefined || record.levelno < cfg.callSiteLevel) {
+    return record;
+  }
+  const site = captureCallSite();
+  if (site) {
+    Object.assign(record, site);
+  }
+  return record;
 }
 
 function normalizedLevelNo(level) {
@@ -97,93 +94,80 @@ function levelNameFromNo(levelNo) {
   return 'NOTSET';
 }
 
-function postJson({
-  url,
-  payload,
-  headers,
-  timeoutSeconds,
-  verifySsl,
-}) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const body = JSON.stringify(payload);
-    const isHttps = parsed.protocol === 'https:';
-    const client = isHttps ? https : http;
-
-    const req = client.request(
-      {
-        protocol: parsed.protocol,
-        hostname: parsed.hostname,
-        port: parsed.port || undefined,
-        path: `${parsed.pathname}${parsed.search}`,
-        method: 'POST',
-        headers: {
-          'content-type': 'application/json',
-          'content-length': Buffer.byteLength(body),
-          ...headers,
-        },
-        timeout: Math.max(1, Number(timeoutSeconds || 5)) * 1000,
-        rejectUnauthorized: verifySsl !== false,
-      },
-      (res) => {
-        res.on('data', () => {
-          // Drain stream for keep-alive friendliness.
-        });
-        res.on('end', () => {
-          resolve({ statusCode: Number(res.statusCode || 0) });
-        });
-      },
-    );
-
-    req.on('timeout', () => {
-      req.destroy(new Error('Request timeout'));
-    });
-    req.on('error', reject);
-    req.write(body);
-    req.end();
-  });
+// Per-client state: configuration, delivery pipeline, sampling and dedupe. The top-level API uses the default one.
+function createRuntime(getRuntimeConfig, { transport = null } = {}) {
+  const runtimeDelivery = new DeliveryPipeline(getRuntimeConfig, { transport });
+  const sampler = new CloudSampler(getRuntimeConfig);
+  const deduper = new ErrorDeduper(getRuntimeConfig);
+  runtimeDelivery.addFlushHook(() => deduper.flush());
+  runtimeDelivery.addFlushHook(() => sampler.flushSummaries());
+  runtimeDelivery.syncExitHooks();
+  return {
+    getConfig: getRuntimeConfig,
+    delivery: runtimeDelivery,
+    sampler,
+    deduper,
+    // Back to a fresh state between tests: no dedupe or rate-limit history, nothing queued, zeroed stats.
+    reset() {
+      deduper.reset();
+      sampler.reset();
+      runtimeDelivery.clearQueue();
+      runtimeDelivery.stats.reset();
+    },
+  };
 }
 
-let transport = postJson;
-
-function setTransportForTests(fn) {
-  transport = typeof fn === 'function' ? fn : postJson;
-}
+const defaultRuntime = createRuntime(getConfig);
+const { delivery } = defaultRuntime;
 
-class CloudLogHandler {
+class CloudLogHandler extends Handler {
   constructor({
     resourceId = null,
     cloudLevel = null,
+    runtime = defaultRuntime,
+    filters,
   } = {}) {
+    super({ filters });
     this.resourceId = resourceId;
     this.cloudLevel = cloudLevel;
+    this._runtime = runtime;
     this._inEmit = false;
   }
 
   resourceEndpoint(resourceId) {
-    return buildResourceLogsEndpoint(resourceId);
+    return buildResourceLogsEndpoint(resourceId, this._runtime.getConfig());
   }
 
-  shouldForward(record) {
-    const cfg = getConfig();
+  flush(options) {
+    return this._runtime.delivery.flush(options);
+  }
+
+  // The stats counter a record is not forwarded under, or null when it should be forwarded.
+  skipReason(record) {
+    const cfg = this._runtime.getConfig();
     if (!cfg.enabled) {
-      return false;
+      return 'skipped';
     }
     if (cfg.cloudLevel === null) {
-      return false;
+      return 'filteredByLevel';
     }
     const minLevel = this.cloudLevel !== null ? this.cloudLevel : cfg.cloudLevel;
     if (record.levelno < minLevel) {
-      return false;
+      return 'filteredByLevel';
     }
     if (!cfg.apiKey) {
-      return false;
+      debug('skipping cloud log: missing API key (set ALSHIVAL_API_KEY or configure({ apiKey }))');
+      return 'skipped';
     }
-    return true;
+    return null;
+  }
+
+  shouldForward(record) {
+    return this.skipReason(record) === null;
   }
 
   resolvedResourceId(record) {
-    const cfg = getConfig();
+    const cfg = this._runtime.getConfig();
     const candidates = [
       this.resourceId,
       record.alshival_resource_id,
@@ -197,6 +181,41 @@ class CloudLogHandler {
     return '';
   }
 
+  // Routing rules that match send the record to their resources instead of (or, with includeDefault, as well as)
+  // the default one. Each url/key pair is sent once. `apiKeyRoute` is the index of the rule whose apiKey is used, so
+  // the spool can find the key again without storing it.
+  resolvedTargets(record) {
+    const cfg = this._runtime.getConfig();
+    const rules = matchRoutes(cfg.routes, record);
+    const targets = new Map();
+    const addTarget = (resourceId, url, apiKey, apiKeyRoute = null) => {
+      if (resourceId && url) {
+        targets.set(`${url}\n${apiKey}`, {
+          resourceId,
+          url,
+          apiKey,
+          apiKeyRoute,
+        });
+      }
+    };
+
+    if (rules.length === 0 || rules.some((rule) => rule.includeDefault)) {
+      const resourceId = this.resolvedResourceId(record);
+      addTarget(resourceId, resourceId ? this.resourceEndpoint(resourceId) : '', cfg.apiKey);
+    }
+    for (const rule of rules) {
+      for (const destination of rule.destinations) {
+        const url = buildResourceLogsEndpoint(destination.resourceId, destination.resourceBaseUrl ? destination : cfg);
+        if (rule.apiKey) {
+          addTarget(destination.resourceId, url, rule.apiKey, cfg.routes.indexOf(rule));
+        } else {
+          addTarget(destination.resourceId, url, cfg.apiKey);
+        }
+      }
+    }
+    return [...targets.values()];
+  }
+
   emit(record) {
     if (this._inEmit) {
       return;
@@ -204,68 +223,81 @@ class CloudLogHandler {
 
     this._inEmit = true;
 
+    const { stats } = this._runtime.delivery;
     try {
-      if (!this.shouldForward(record)) {
+      stats.count('emitted');
+      const skipReason = this.skipReason(record);
+      if (skipReason) {
+        stats.count(skipReason);
         return;
       }
 
-      const cfg = getConfig();
-      const resolvedResource = this.resolvedResourceId(record);
-      if (!resolvedResource) {
+      const cfg = this._runtime.getConfig();
+      const targets = this.resolvedTargets(record);
+      if (targets.length === 0) {
         debug('skipping cloud log: missing resource target (set ALSHIVAL_RESOURCE or pass resourceId)');
+        stats.count('skipped');
+        return;
+      }
+      if (!this._runtime.deduper.allow(record, this) || !this._runtime.sampler.allow(record, this)) {
+        stats.count('suppressed');
         return;
       }
 
-      const payload = {
-        resource_id: resolvedResource,
-        sdk: 'alshival-nodejs',
-        sdk_version: sdkVersion(),
-        logs: [
-          {
-            level: String(record.levelname || 'INFO').toLowerCase(),
-            message: String(record.message || ''),
-            logger: String(record.name || 'alshival'),
-            ts: new Date().toISOString(),
-            extra: {
-              logger: String(record.name || 'alshival'),
-              module: record.module || null,
-              function: record.function || null,
-              line: record.line || null,
-              path: record.path || null,
-              extra: safeValue(record.extra || {}),
-              stack_info: record.stack_info || null,
-              exception: record.exception || null,
-            },
-          },
-        ],
+      const entry = {
+        level: String(record.levelname || 'INFO').toLowerCase(),
+        message: String(record.message || ''),
+        logger: String(record.name || 'alshival'),
+        ts: new Date(Number.isFinite(record.time) ? record.time : Date.now()).toISOString(),
+        extra: {
+          logger: String(record.name || 'alshival'),
+          module: record.module || null,
+          function: record.function || null,
+          line: record.line || null,
+          path: record.path || null,
+          extra: serializeValue(record.extra || {}, cfg.serialize),
+          stack_info: record.stack_info || null,
+          exception: record.exception || null,
+        },
       };
+      if (record.trace_id) {
+        entry.extra.trace_id = record.trace_id;
+        entry.extra.span_id = record.span_id;
+        entry.extra.trace_flags = record.trace_flags;
+      }
+      if (record.fingerprint) {
+        entry.extra.fingerprint = record.fingerprint;
+      }
+      if (record.occurrences) {
+        entry.extra.occurrences = record.occurrences;
+        entry.extra.first_seen = record.first_seen;
+        entry.extra.last_seen = record.last_seen;
+      }
 
-      const endpoint = this.resourceEndpoint(resolvedResource);
-
-      const headers = {
-        'x-api-key': cfg.apiKey || '',
-      };
-      if (cfg.username) {
-        headers['x-user-username'] = cfg.username;
+      const redacted = redactEntry(entry, cfg.redact);
+      if (!redacted) {
+        stats.count('suppressed');
+        return;
       }
 
-      Promise.resolve(
-        transport({
-          url: endpoint,
-          payload,
+      for (const target of targets) {
+        const headers = {
+          'x-api-key': target.apiKey || '',
+        };
+        if (cfg.username) {
+          headers['x-user-username'] = cfg.username;
+        }
+
+        this._runtime.delivery.enqueue({
+          url: target.url,
           headers,
-          timeoutSeconds: cfg.timeoutSeconds,
-          verifySsl: cfg.verifySsl,
-        }),
-      )
-        .then((resp) => {
-          if (Number(resp && resp.statusCode) >= 400) {
-            debug(`cloud log post failed: status=${resp.statusCode}`);
-          }
-        })
-        .catch((err) => {
-          debug(`cloud log post failed: ${err && err.message ? err.message : String(err)}`);
+          apiKeyRoute: target.apiKeyRoute,
+          resourceId: target.resourceId,
+          entry: redacted,
+          levelno: record.levelno,
         });
+      }
+      stats.count('forwarded');
     } catch (err) {
       debug(`cloud log emit failed: ${err && err.message ? err.message : String(err)}`);
     } finally {
@@ -280,16 +312,51 @@ class AlshivalLogger {
     cloudLevel = null,
     resourceId = null,
     localLogger = null,
+    bindings = {},
+    handlers = null,
+    runtime = defaultRuntime,
   } = {}) {
     this._loggerName = String(name || 'alshival');
     this._minLevel = Number(minLevel);
+    this._resourceId = resourceId;
+    this._runtime = runtime;
     this._localLogger = localLogger;
-    this.handlers = [];
-    dedupeAddHandler(this, new CloudLogHandler({ resourceId, cloudLevel }));
+    this._bindings = { ...bindings };
+    this._sharedHandlers = false;
+    if (handlers) {
+      this.handlers = handlers;
+    } else {
+      this.handlers = [];
+      dedupeAddHandler(this, new CloudLogHandler({ resourceId, cloudLevel, runtime }));
+    }
+  }
+
+  child(bindings = {}) {
+    if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+      throw new TypeError('child(...) expects an object of fields to bind');
+    }
+    const child = new AlshivalLogger(this._loggerName, {
+      minLevel: this._minLevel,
+      resourceId: this._resourceId,
+      localLogger: this._localLogger,
+      bindings: { ...this._bindings, ...bindings },
+      handlers: this.handlers,
+      runtime: this._runtime,
+    });
+    child._sharedHandlers = true;
+    return child;
+  }
+
+  bindings() {
+    return { ...this._bindings };
+  }
+
+  flush(options) {
+    return this._runtime.delivery.flush(options);
   }
 
   details() {
-    const cfg = getConfig();
+    const cfg = this._runtime.getConfig();
     return {
       username: cfg.username,
       api_key: cfg.apiKey ? 'set' : 'unset',
@@ -303,18 +370,33 @@ class AlshivalLogger {
     };
   }
 
+  // Context and bound fields merged under the call's own extra. Without any, the call's object is used as is, so a
+  // top-level self-reference still serializes as '[Circular]'.
+  recordExtra(extra) {
+    const context = contextFields();
+    if (extra && Object.keys(context).length === 0 && Object.keys(this._bindings).length === 0) {
+      return extra;
+    }
+    return { ...context, ...this._bindings, ...(extra || {}) };
+  }
+
+  // Returns null below the logger's level, so a discarded call never formats its message or walks the stack.
   buildRecord(levelNo, levelName, msg, args, options = {}) {
+    if (Number(levelNo) < this._minLevel) {
+      return null;
+    }
     const message = typeof msg === 'string' ? format(msg, ...args) : [msg, ...args].map((item) => String(item)).join(' ');
     const record = {
       name: this._loggerName,
       levelno: Number(levelNo),
       levelname: String(levelName),
       message,
+      msg: typeof msg === 'string' ? msg : message,
       module: this._loggerName,
       function: null,
       line: null,
       path: null,
-      extra: options.extra || {},
+      extra: this.recordExtra(options.extra),
       stack_info: options.stackInfo || null,
       exception: options.error ? String(options.error.stack || options.error) : null,
     };
@@ -323,7 +405,7 @@ class AlshivalLogger {
       record.alshival_resource_id = options.resourceId;
     }
 
-    return record;
+    return withCallSite(withTraceContext(record), this._runtime.getConfig());
   }
 
   parseArgs(rawArgs) {
@@ -349,7 +431,7 @@ class AlshivalLogger {
   }
 
   emit(record) {
-    if (record.levelno < this._minLevel) {
+    if (!record || record.levelno < this._minLevel) {
       return;
     }
 
@@ -365,8 +447,39 @@ class AlshivalLogger {
     }
 
     for (const currentHandler of this.handlers) {
-      currentHandler.emit(record);
+      dispatchToHandler(currentHandler, record);
+    }
+  }
+
+  addHandler(handler) {
+    if (!handler || (typeof handler.handle !== 'function' && typeof handler.emit !== 'function')) {
+      throw new TypeError('addHandler(...) expects a handler with handle(record) or emit(record)');
+    }
+    if (!this.handlers.includes(handler)) {
+      if (typeof handler.bindConfig === 'function') {
+        handler.bindConfig(this._runtime.getConfig);
+      }
+      this.ownHandlers().push(handler);
+    }
+    return handler;
+  }
+
+  removeHandler(handler) {
+    const index = this.handlers.indexOf(handler);
+    if (index === -1) {
+      return false;
     }
+    this.ownHandlers().splice(index, 1);
+    return true;
+  }
+
+  // A child uses its parent's handler list until it adds or removes a handler; then it gets its own copy.
+  ownHandlers() {
+    if (this._sharedHandlers) {
+      this.handlers = [...this.handlers];
+      this._sharedHandlers = false;
+    }
+    return this.handlers;
   }
 
   log(level, msg, ...rawArgs) {
@@ -444,7 +557,7 @@ class AlshivalLogger {
   } = {}) {
     const resolved = cloudLevel !== undefined ? cloudLevel : level;
     const normalizedCloudLevel = resolved === undefined ? null : normalizedLevelNo(resolved);
-    return new CloudLogHandler({ resourceId, cloudLevel: normalizedCloudLevel });
+    return new CloudLogHandler({ resourceId, cloudLevel: normalizedCloudLevel, runtime: this._runtime });
   }
 
   getLogger(name, {
@@ -452,28 +565,35 @@ class AlshivalLogger {
     cloudLevel,
     resourceId = null,
     localLogger = null,
+    handlers = [],
   } = {}) {
     const minLevel = normalizedLevelNo(level);
     const resolvedMinLevel = minLevel === null ? LEVEL_NAME_TO_NO.INFO : minLevel;
     const resolvedCloud = cloudLevel !== undefined
       ? normalizedLevelNo(cloudLevel)
       : resolvedMinLevel;
-    return new AlshivalLogger(name, {
+    const logger = new AlshivalLogger(name, {
       minLevel: resolvedMinLevel,
       cloudLevel: resolvedCloud,
       resourceId,
       localLogger,
+      runtime: this._runtime,
     });
+    for (const currentHandler of handlers) {
+      logger.addHandler(currentHandler);
+    }
+    return logger;
   }
 
   attach(target, {
     level,
     cloudLevel,
     resourceId = null,
+    console: useConsole,
   } = {}) {
     const resolved = cloudLevel !== undefined ? cloudLevel : level;
     const normalizedCloudLevel = resolved === undefined ? null : normalizedLevelNo(resolved);
-    const handler = new CloudLogHandler({ resourceId, cloudLevel: normalizedCloudLevel });
+    const handler = new CloudLogHandler({ resourceId, cloudLevel: normalizedCloudLevel, runtime: this._runtime });
 
     if (target instanceof AlshivalLogger) {
       return dedupeAddHandler(target, handler);
@@ -486,7 +606,12 @@ class AlshivalLogger {
     const state = target[ATTACH_STATE] || {
       handlers: [],
       patched: false,
+      console: useConsole === undefined ? isConsole(target) : Boolean(useConsole),
       original: {},
+      wrapped: {},
+      inherited: [],
+      depth: 0,
+      runtime: this._runtime,
     };
 
     if (!state.patched) {
@@ -497,6 +622,26 @@ class AlshivalLogger {
     target[ATTACH_STATE] = state;
     return dedupeAddHandler(state, handler);
   }
+
+  detach(target) {
+    const state = target && typeof target === 'object' ? target[ATTACH_STATE] : null;
+    if (!state) {
+      return false;
+    }
+    restoreExternalLogger(target, state);
+    state.handlers.length = 0;
+    delete target[ATTACH_STATE];
+    return true;
+  }
+}
+
+// Handler subclasses apply their level and filters in handle(); plain objects only need emit().
+function dispatchToHandler(handler, record) {
+  if (typeof handler.handle === 'function') {
+    handler.handle(record);
+  } else {
+    handler.emit(record);
+  }
 }
 
 function dedupeAddHandler(target, handler) {
@@ -517,36 +662,93 @@ function dedupeAddHandler(target, handler) {
   return handler;
 }
 
+const EXTERNAL_METHODS = ['debug', 'info', 'warn', 'warning', 'error', 'critical', 'log'];
+const CONSOLE_METHODS = ['log', 'info', 'debug', 'warn', 'error', 'trace', 'assert', 'table', 'dir', 'dirxml'];
+
+function isConsole(target) {
+  return target instanceof Console;
+}
+
 function patchExternalLogger(logger, state) {
-  const methods = ['debug', 'info', 'warn', 'warning', 'error', 'critical', 'log'];
+  const methods = state.console ? CONSOLE_METHODS : EXTERNAL_METHODS;
 
   for (const method of methods) {
     if (typeof logger[method] !== 'function') {
       continue;
     }
+    if (!Object.prototype.hasOwnProperty.call(logger, method)) {
+      state.inherited.push(method);
+    }
     state.original[method] = logger[method];
     logger[method] = function wrappedLoggerMethod(...args) {
+      // console.trace/assert/table call this.error/warn/log internally; only the outermost call is forwarded.
+      const outermost = state.depth === 0;
+      state.depth += 1;
       let result;
       try {
         result = state.original[method].apply(this, args);
       } finally {
-        try {
-          const record = buildExternalRecord(logger, method, args);
-          if (record) {
-            for (const currentHandler of state.handlers) {
-              currentHandler.emit(record);
+        state.depth -= 1;
+        if (outermost) {
+          try {
+            const cfg = state.runtime.getConfig();
+            const record = state.console
+              ? buildConsoleRecord(cfg, logger, method, args, wrappedLoggerMethod)
+              : buildExternalRecord(cfg, logger, method, args);
+            if (record) {
+              for (const currentHandler of state.handlers) {
+                dispatchToHandler(currentHandler, record);
+              }
             }
+          } catch {
+            // Fail-safe instrumentation.
           }
-        } catch {
-          // Fail-safe instrumentation.
         }
       }
       return result;
     };
+    state.wrapped[method] = logger[method];
+  }
+}
+
+function restoreExternalLogger(logger, state) {
+  for (const [method, original] of Object.entries(state.original)) {
+    // Leave wrappers installed by someone else after us in place; with no handlers ours no longer forwards.
+    if (logger[method] !== state.wrapped[method]) {
+      continue;
+    }
+    if (state.inherited.includes(method)) {
+      delete logger[method];
+    } else {
+      logger[method] = original;
+    }
   }
 }
 
-function buildExternalRecord(logger, method, args) {
+function externalRecord(cfg, logger, levelNo, message, msg, extras = {}) {
+  return withCallSite(withTraceContext({
+    name: String(logger.name || logger.constructor.name || 'logger'),
+    levelno: Number(levelNo),
+    levelname: levelNameFromNo(levelNo),
+    message,
+    msg,
+    module: null,
+    function: null,
+    line: null,
+    path: null,
+    extra: contextFields(),
+    stack_info: null,
+    exception: null,
+    ...extras,
+  }), cfg);
+}
+
+function formatArgs(args) {
+  const [msg, ...rest] = args;
+  return typeof msg === 'string' ? format(msg, ...rest) : args.map((item) => String(item)).join(' ');
+}
+
+function buildExternalRecord(cfg, logger, method, args) {
   let levelNo;
   let msg;
   let rest;
@@ -556,12 +758,20 @@ function buildExternalRecord(logger, method, args) {
       return null;
     }
     const maybeLevel = args[0];
-    if (typeof maybeLevel === 'number' || typeof maybeLevel === 'string' || typeof maybeLevel === 'boolean') {
-      const coerced = normalizedLevelNo(maybeLevel);
-      if (coerced === null) {
-        return null;
+    let levelArg;
+    // log(level, msg, ...) when the first argument is a level; log('message', ...) otherwise.
+    if (typeof maybeLevel === 'number' || typeof maybeLevel === 'boolean' || (typeof maybeLevel === 'string' && args.length > 1)) {
+      try {
+        levelArg = normalizedLevelNo(maybeLevel);
+      } catch {
+        levelArg = undefined;
       }
-      levelNo = coerced;
+    }
+    if (levelArg === null) {
+      return null;
+    }
+    if (levelArg !== undefined) {
+      levelNo = levelArg;
       msg = args.length > 1 ? args[1] : '';
       rest = args.slice(2);
     } else {
@@ -583,21 +793,102 @@ function buildExternalRecord(logger, method, args) {
     rest = args.slice(1);
   }
 
-  const message = typeof msg === 'string' ? format(msg, ...rest) : [msg, ...rest].map((item) => String(item)).join(' ');
+  const message = formatArgs([msg, ...rest]);
+  return externalRecord(cfg, logger, levelNo, message, typeof msg === 'string' ? msg : message);
+}
 
-  return {
-    name: String(logger.name || logger.constructor.name || 'logger'),
-    levelno: Number(levelNo),
-    levelname: levelNameFromNo(levelNo),
+function renderTable(args) {
+  let text = '';
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      text += chunk;
+      callback();
+    },
+  });
+  new Console({ stdout: sink, colorMode: false }).table(...args);
+  return text.replace(/\n$/, '');
+}
+
+function buildConsoleRecord(cfg, logger, method, args, wrapper) {
+  const target = { name: logger.name || 'console' };
+  const text = format(...args);
+  const template = typeof args[0] === 'string' ? args[0] : text;
+
+  switch (method) {
+    case 'debug':
+      return externalRecord(cfg, target, LEVEL_NAME_TO_NO.DEBUG, text, template);
+    case 'warn':
+      return externalRecord(cfg, target, LEVEL_NAME_TO_NO.WARNING, text, template);
+    case 'error': {
+      const error = args.find((item) => item instanceof Error);
+      return externalRecord(cfg, target, LEVEL_NAME_TO_NO.ERROR, text, template, {
+        exception: error ? String(error.stack || error) : null,
+      });
+    }
+    case 'trace': {
+      const holder = {};
+      Error.captureStackTrace(holder, wrapper);
+      const stack = String(holder.stack || '');
+      const message = args.length ? text : 'Trace';
+      return externalRecord(cfg, target, LEVEL_NAME_TO_NO.DEBUG, message, args.length ? template : message, {
+        stack_info: `Trace${stack.slice(stack.indexOf('\n'))}`,
+      });
+    }
+    case 'assert': {
+      if (args[0]) {
+        return null;
+      }
+      const details = args.slice(1);
+      const message = details.length ? `Assertion failed: ${format(...details)}` : 'Assertion failed';
+      return externalRecord(cfg, target, LEVEL_NAME_TO_NO.ERROR, message, message);
+    }
+    case 'table': {
+      const message = renderTable(args);
+      return externalRecord(cfg, target, LEVEL_NAME_TO_NO.INFO, message, 'console.table');
+    }
+    case 'dir': {
+      const message = inspect(args[0], { ...args[1], colors: false });
+      return externalRecord(cfg, target, LEVEL_NAME_TO_NO.INFO, message, 'console.dir');
+    }
+    default:
+      return externalRecord(cfg, target, LEVEL_NAME_TO_NO.INFO, text, template);
+  }
+}
+
+function buildIntegrationRecord({
+  name,
+  levelno,
+  message,
+  extra = {},
+  exception = null,
+  time = null,
+  site = null,
+  trace = null,
+}) {
+  const record = {
+    name: String(name || 'logger'),
+    levelno: Number(levelno),
+    levelname: levelNameFromNo(levelno),
     message,
+    msg: message,
     module: null,
     function: null,
     line: null,
     path: null,
-    extra: {},
+    extra: { ...contextFields(), ...extra },
     stack_info: null,
-    exception: null,
+    exception,
   };
+  if (Number.isFinite(time)) {
+    record.time = time;
+  }
+  if (site) {
+    Object.assign(record, site);
+  }
+  if (trace) {
+    return Object.assign(record, trace);
+  }
+  return withTraceContext(record);
 }
 
 function refreshDebugConsoleHandler() {
@@ -609,6 +900,10 @@ const log = new AlshivalLogger('alshival');
 module.exports = {
   AlshivalLogger,
   CloudLogHandler,
+  buildIntegrationRecord,
+  createRuntime,
+  defaultRuntime,
+  delivery,
   log,
   refreshDebugConsoleHandler,
   setTransportForTests,
@@ -0,0 +1,224 @@
+'use strict';
+
+const crypto = require('node:crypto');
+
+const { LEVEL_NAME_TO_NO } = require('./client');
+const { runWithContext } = require('./context');
+const { log } = require('./logger');
+
+function headerValue(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  const value = headers[String(name).toLowerCase()];
+  const first = Array.isArray(value) ? value[0] : value;
+  return first && String(first).trim() ? String(first).trim() : null;
+}
+
+function defaultLevelForStatus(statusCode) {
+  if (statusCode >= 500) {
+    return LEVEL_NAME_TO_NO.ERROR;
+  }
+  if (statusCode >= 400) {
+    return LEVEL_NAME_TO_NO.WARNING;
+  }
+  return LEVEL_NAME_TO_NO.INFO;
+}
+
+function pathOf(url) {
+  return String(url || '/').split('?')[0];
+}
+
+function requestTracker(options, req) {
+  const logger = options.logger || log;
+  const requestIdHeader = options.requestIdHeader || 'x-request-id';
+  const levelForStatus = options.levelForStatus || defaultLevelForStatus;
+  const requestId = headerValue(req.headers, requestIdHeader) || crypto.randomUUID();
+  const requestLog = logger.child({ request_id: requestId });
+  const fields = { request_id: requestId };
+  const traceparent = headerValue(req.headers, 'traceparent');
+  if (traceparent) {
+    fields.traceparent = traceparent;
+  }
+  const method = String(req.method || 'GET').toUpperCase();
+  const path = pathOf(req.originalUrl || req.url);
+  const started = process.hrtime.bigint();
+  let finished = false;
+
+  return {
+    fields,
+    log: requestLog,
+    requestId,
+    finish(statusCode, route, { aborted = false } = {}) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100;
+      const resolvedRoute = route || path;
+      const extra = {
+        method,
+        route: resolvedRoute,
+        path,
+        status: statusCode,
+        duration_ms: durationMs,
+      };
+      if (aborted) {
+        extra.aborted = true;
+      }
+      requestLog.log(levelForStatus(statusCode), '%s %s %d %sms', method, resolvedRoute, statusCode, durationMs, { extra });
+    },
+    fail(err, route) {
+      requestLog.exception(`${method} ${route || path} failed`, err instanceof Error ? err : new Error(String(err)));
+    },
+  };
+}
+
+function trackResponse(tracker, res, route) {
+  res.on('finish', () => tracker.finish(res.statusCode, route()));
+  res.on('close', () => tracker.finish(res.statusCode, route(), { aborted: !res.writableFinished }));
+}
+
+function expressRoute(req) {
+  if (req.route && req.route.path) {
+    return `${req.baseUrl || ''}${req.route.path}`;
+  }
+  return null;
+}
+
+function express(options = {}) {
+  const property = options.property || 'log';
+  return function alshivalExpressMiddleware(req, res, next) {
+    const tracker = requestTracker(options, req);
+    req[property] = tracker.log;
+    trackResponse(tracker, res, () => expressRoute(req));
+    runWithContext(tracker.fields, next);
+  };
+}
+
+function expressErrorHandler(options = {}) {
+  const property = options.property || 'log';
+  return function alshivalExpressErrorHandler(err, req, res, next) {
+    const requestLog = req[property] || options.logger || log;
+    const route = expressRoute(req) || pathOf(req.originalUrl || req.url);
+    requestLog.exception(`${String(req.method || 'GET').toUpperCase()} ${route} failed`, err instanceof Error ? err : new Error(String(err)));
+    next(err);
+  };
+}
+
+function koa(options = {}) {
+  const property = options.property || 'log';
+  return function alshivalKoaMiddleware(ctx, next) {
+    const tracker = requestTracker(options, ctx.req || ctx.request || ctx);
+    ctx[property] = tracker.log;
+    return runWithContext(tracker.fields, async () => {
+      try {
+        await next();
+      } catch (err) {
+        const statusCode = Number(err && (err.status || err.statusCode)) || 500;
+        tracker.fail(err, ctx._matchedRoute);
+        tracker.finish(statusCode, ctx._matchedRoute);
+        throw err;
+      }
+      tracker.finish(Number(ctx.status) || 404, ctx._matchedRoute);
+    });
+  };
+}
+
+function fastifyRoute(request) {
+  if (request.routeOptions && request.routeOptions.url) {
+    return request.routeOptions.url;
+  }
+  return request.routerPath || null;
+}
+
+function fastify(options = {}) {
+  const property = options.property || 'alshivalLog';
+  const trackers = new WeakMap();
+
+  function alshivalFastifyPlugin(instance, pluginOptions, done) {
+    if (typeof instance.decorateRequest === 'function' && !instance.hasRequestDecorator(property)) {
+      instance.decorateRequest(property, null);
+    }
+    instance.addHook('onRequest', (request, reply, hookDone) => {
+      const tracker = requestTracker(options, request.raw || request);
+      trackers.set(request, tracker);
+      request[property] = tracker.log;
+      runWithContext(tracker.fields, hookDone);
+    });
+    instance.addHook('onError', (request, reply, error, hookDone) => {
+      const tracker = trackers.get(request);
+      if (tracker) {
+        tracker.fail(error, fastifyRoute(request));
+      }
+      hookDone();
+    });
+    instance.addHook('onResponse', (request, reply, hookDone) => {
+      const tracker = trackers.get(request);
+      if (tracker) {
+        tracker.finish(reply.statusCode, fastifyRoute(request));
+      }
+      hookDone();
+    });
+    done();
+  }
+
+  // Register on the root instance instead of an encapsulated child context (what fastify-plugin does).
+  alshivalFastifyPlugin[Symbol.for('skip-override')] = true;
+  alshivalFastifyPlugin[Symbol.for('fastify.display-name')] = 'alshival';
+  return alshivalFastifyPlugin;
+}
+
+function http(handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new TypeError('middleware.http(...) expects a request listener');
+  }
+  const property = options.property || 'log';
+  return function alshivalRequestListener(req, res) {
+    const tracker = requestTracker(options, req);
+    req[property] = tracker.log;
+    trackResponse(tracker, res, () => null);
+
+    const handleFailure = (err) => {
+      tracker.fail(err);
+      if (!res.headersSent) {
+        res.statusCode = 500;
+      }
+      if (!res.writableEnded) {
+        res.end();
+      }
+    };
+
+    return runWithContext(tracker.fields, () => {
+      try {
+        const result = handler(req, res);
+        if (result && typeof result.then === 'function') {
+          return result.catch(handleFailure);
+        }
+        return result;
+      } catch (err) {
+        return handleFailure(err);
+      }
+    });
+  };
+}
+
+// The same middleware factories, defaulting to `logger` instead of the top-level `alshival.log`.
+function forLogger(logger) {
+  return {
+    express: (options = {}) => express({ logger, ...options }),
+    expressErrorHandler: (options = {}) => expressErrorHandler({ logger, ...options }),
+    fastify: (options = {}) => fastify({ logger, ...options }),
+    http: (handler, options = {}) => http(handler, { logger, ...options }),
+    koa: (options = {}) => koa({ logger, ...options }),
+  };
+}
+
+module.exports = {
+  express,
+  expressErrorHandler,
+  fastify,
+  forLogger,
+  http,
+  koa,
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+const { StringDecoder } = require('node:string_decoder');
+const { Writable } = require('node:stream');
+
+const { createForwarder, recordFromJsonLine } = require('./integrations');
+
+const PINO_OMIT_KEYS = ['pid', 'hostname', 'name'];
+
+function pinoRecord(line, options = {}) {
+  return recordFromJsonLine(line, {
+    ...options,
+    omitKeys: PINO_OMIT_KEYS,
+  });
+}
+
+// Usable as a pino transport target (`pino.transport({ target: '@alshival.ai/alshival/pino' })`)
+// or directly as a destination stream (`pino(require('@alshival.ai/alshival/pino')())`).
+function alshivalPinoTransport(options = {}) {
+  const forwarder = createForwarder(options);
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+
+  function forwardLine(text) {
+    if (!text.trim()) {
+      return;
+    }
+    let line;
+    try {
+      line = JSON.parse(text);
+    } catch {
+      return;
+    }
+    if (line && typeof line === 'object') {
+      forwarder.forward(pinoRecord(line, options));
+    }
+  }
+
+  return new Writable({
+    write(chunk, encoding, callback) {
+      pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const text of lines) {
+        forwardLine(text);
+      }
+      callback();
+    },
+    final(callback) {
+      forwardLine(pending + decoder.end());
+      pending = '';
+      forwarder.flush().then(() => callback(), callback);
+    },
+  });
+}
+
+module.exports = alshivalPinoTransport;
+module.exports.pinoRecord = pinoRecord;
@@ -0,0 +1,142 @@
+'use strict';
+
+const { inspect } = require('node:util');
+
+const { LEVEL_NAME_TO_NO, coerceLevel } = require('./client');
+const { AlshivalLogger, delivery, log } = require('./logger');
+
+// One installation per logger, so clients capture side by side. Calling captureProcessErrors again for the same logger
+// replaces its handlers.
+const installations = new Map();
+const sdkListeners = new Set();
+let exiting = false;
+
+function unhandledRejectionsMode() {
+  const args = [...process.execArgv, ...String(process.env.NODE_OPTIONS || '').split(/\s+/)];
+  for (const arg of args) {
+    const match = /^--unhandled-rejections=(.+)$/.exec(arg);
+    if (match) {
+      return match[1];
+    }
+  }
+  return 'throw';
+}
+
+function describe(reason) {
+  if (reason instanceof Error) {
+    return reason.stack || String(reason);
+  }
+  return inspect(reason);
+}
+
+// Listeners other than the ones installed here, e.g. the app's own handler.
+function appListenerCount(event) {
+  return process.listeners(event).filter((listener) => !sdkListeners.has(listener)).length;
+}
+
+// Match Node's default crash output and exit code once every installed logger has delivered its pending records.
+function exitAfterFlush(reason) {
+  if (exiting) {
+    return;
+  }
+  exiting = true;
+  process.stderr.write(`${describe(reason)}\n`);
+  // Other installations log the same error in later listeners of this event; flush once they have.
+  Promise.resolve()
+    .then(() => Promise.allSettled([...installations.values()].map(({ flush }) => flush())))
+    .finally(() => {
+      process.exit(1);
+    });
+}
+
+function captureProcessErrors({
+  exitOnUncaught = true,
+  level = 'CRITICAL',
+  warnings = true,
+  logger = log,
+  flushTimeoutSeconds,
+} = {}) {
+  if (installations.has(logger)) {
+    installations.get(logger).uninstall();
+  }
+
+  const fatalLevel = coerceLevel(level);
+  const pending = logger instanceof AlshivalLogger ? logger : delivery;
+
+  const logFatal = (message, reason, origin) => {
+    try {
+      logger.log(fatalLevel, '%s: %s', message, reason instanceof Error ? reason.message : inspect(reason), {
+        error: reason instanceof Error ? reason : new Error(inspect(reason)),
+        extra: { origin, error: reason },
+      });
+    } catch {
+      // Never let error capture itself crash the process differently.
+    }
+  };
+
+  const onUncaughtException = (err, origin) => {
+    logFatal('uncaught exception', err, origin || 'uncaughtException');
+    if (exitOnUncaught && appListenerCount('uncaughtException') === 0) {
+      exitAfterFlush(err);
+    }
+  };
+
+  const onUnhandledRejection = (reason) => {
+    logFatal('unhandled rejection', reason, 'unhandledRejection');
+    if (appListenerCount('unhandledRejection') > 0) {
+      return;
+    }
+    const mode = unhandledRejectionsMode();
+    if (mode === 'warn-with-error-code') {
+      process.exitCode = 1;
+    } else if (exitOnUncaught && (mode === 'throw' || mode === 'strict')) {
+      exitAfterFlush(reason);
+    }
+  };
+
+  const onWarning = (warning) => {
+    try {
+      logger.log(LEVEL_NAME_TO_NO.WARNING, 'process warning: %s: %s', warning.name, warning.message, {
+        extra: {
+          name: warning.name,
+          message: warning.message,
+          code: warning.code || null,
+          stack: warning.stack || null,
+        },
+      });
+    } catch {
+      // Fail-safe instrumentation.
+    }
+  };
+
+  const listeners = [
+    ['uncaughtException', onUncaughtException],
+    ['unhandledRejection', onUnhandledRejection],
+  ];
+  if (warnings) {
+    listeners.push(['warning', onWarning]);
+  }
+  for (const [event, listener] of listeners) {
+    sdkListeners.add(listener);
+    process.on(event, listener);
+  }
+
+  const uninstall = () => {
+    for (const [event, listener] of listeners) {
+      sdkListeners.delete(listener);
+      process.removeListener(event, listener);
+    }
+    if (installations.has(logger) && installations.get(logger).uninstall === uninstall) {
+      installations.delete(logger);
+    }
+  };
+  installations.set(logger, {
+    uninstall,
+    flush: () => pending.flush({ timeoutSeconds: flushTimeoutSeconds }),
+  });
+  return uninstall;
+}
+
+module.exports = {
+  captureProcessErrors,
+};
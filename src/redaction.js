@@ -0,0 +1,186 @@
+'use strict';
+
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+const DEFAULT_REDACT_KEYS = [
+  'password',
+  'passwd',
+  'secret',
+  'token',
+  'apikey',
+  'authorization',
+  'cookie',
+  'privatekey',
+  'accesskey',
+  'credential',
+];
+
+const DETECTORS = {
+  privateKey: {
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  bearer: {
+    pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi,
+    replace: (replacement) => (match, scheme) => `${scheme} ${replacement}`,
+  },
+  jwt: {
+    pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  },
+  awsAccessKey: {
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  githubToken: {
+    pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+  },
+  slackToken: {
+    pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  },
+  secretKey: {
+    pattern: /\b(?:sk|rk)[-_](?:live_|test_)?[A-Za-z0-9_-]{20,}/g,
+  },
+  urlCredentials: {
+    pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s/@]+@/gi,
+    replace: (replacement) => (match, prefix) => `${prefix}${replacement}@`,
+  },
+  email: {
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+};
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// The words of a key name, split at separators and camelCase boundaries: 'x-api-key' and 'APIKey' give ['api', 'key'].
+function keyWords(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function toGlobalRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+  }
+  return new RegExp(String(pattern), 'g');
+}
+
+function resolveDetectors(detectors) {
+  if (detectors === false || detectors === null) {
+    return [];
+  }
+  if (detectors === undefined || detectors === true) {
+    return Object.keys(DETECTORS);
+  }
+  const names = Array.isArray(detectors) ? detectors : String(detectors).split(',');
+  return names.map((name) => String(name).trim()).filter(Boolean).map((name) => {
+    if (!Object.prototype.hasOwnProperty.call(DETECTORS, name)) {
+      throw new Error(`Invalid redaction detector: ${JSON.stringify(name)}`);
+    }
+    return name;
+  });
+}
+
+function buildRedactConfig(options) {
+  if (options === false || options === null) {
+    return { enabled: false };
+  }
+  const opts = options && typeof options === 'object' ? options : {};
+  const extraKeys = Array.isArray(opts.keys) ? opts.keys : [];
+  const baseKeys = opts.defaultKeys === false ? [] : DEFAULT_REDACT_KEYS;
+  if (opts.redactor !== undefined && opts.redactor !== null && typeof opts.redactor !== 'function') {
+    throw new TypeError('redact.redactor must be a function');
+  }
+  return {
+    enabled: true,
+    keys: [...new Set([...baseKeys, ...extraKeys].map(normalizeKey).filter(Boolean))],
+    patterns: (Array.isArray(opts.patterns) ? opts.patterns : []).map(toGlobalRegExp),
+    detectors: resolveDetectors(opts.detectors),
+    redactor: opts.redactor || null,
+    replacement: opts.replacement === undefined ? DEFAULT_REPLACEMENT : String(opts.replacement),
+  };
+}
+
+function redactString(value, redact) {
+  let out = value;
+  for (const name of redact.detectors) {
+    const detector = DETECTORS[name];
+    detector.pattern.lastIndex = 0;
+    out = out.replace(detector.pattern, detector.replace ? detector.replace(redact.replacement) : redact.replacement);
+  }
+  for (const pattern of redact.patterns) {
+    pattern.lastIndex = 0;
+    out = out.replace(pattern, redact.replacement);
+  }
+  return out;
+}
+
+// A key is denied when a run of its words spells a denied key, so `db_password` and `x-api-key` match but
+// `prompt_tokens` and `secretary` do not.
+function isDeniedKey(key, redact) {
+  const words = keyWords(key);
+  for (let start = 0; start < words.length; start += 1) {
+    let run = '';
+    for (let end = start; end < words.length; end += 1) {
+      run += words[end];
+      if (redact.keys.includes(run)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function redactValue(value, redact) {
+  if (typeof value === 'string') {
+    return redactString(value, redact);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, redact));
+  }
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+      out[key] = isDeniedKey(key, redact) ? redact.replacement : redactValue(item, redact);
+    }
+    return out;
+  }
+  return value;
+}
+
+function redactEntry(entry, redact) {
+  if (!redact || !redact.enabled) {
+    return entry;
+  }
+  const details = entry.extra || {};
+  const redacted = {
+    ...entry,
+    message: redactString(String(entry.message || ''), redact),
+    extra: {
+      ...details,
+      extra: redactValue(details.extra || {}, redact),
+      stack_info: typeof details.stack_info === 'string' ? redactString(details.stack_info, redact) : details.stack_info,
+      exception: typeof details.exception === 'string' ? redactString(details.exception, redact) : details.exception,
+    },
+  };
+  if (!redact.redactor) {
+    return redacted;
+  }
+  const custom = redact.redactor(redacted);
+  if (custom === null || custom === false) {
+    return null;
+  }
+  return custom && typeof custom === 'object' ? custom : redacted;
+}
+
+module.exports = {
+  DEFAULT_REDACT_KEYS,
+  DETECTORS,
+  buildRedactConfig,
+  redactEntry,
+  redactString,
+  redactValue,
+};
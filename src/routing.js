@@ -0,0 +1,44 @@
+'use strict';
+
+function matchesValue(expected, actual) {
+  if (Array.isArray(expected)) {
+    return expected.some((item) => matchesValue(item, actual));
+  }
+  if (expected instanceof RegExp) {
+    expected.lastIndex = 0;
+    return actual !== undefined && actual !== null && expected.test(String(actual));
+  }
+  return expected === actual;
+}
+
+function matchesRoute(rule, record) {
+  if (rule.loggers && !rule.loggers.some((regex) => regex.test(String(record.name || '')))) {
+    return false;
+  }
+  if (rule.minLevel !== null && record.levelno < rule.minLevel) {
+    return false;
+  }
+  if (rule.maxLevel !== null && record.levelno > rule.maxLevel) {
+    return false;
+  }
+  if (rule.extra) {
+    const extra = record.extra || {};
+    for (const [key, expected] of Object.entries(rule.extra)) {
+      if (!matchesValue(expected, extra[key])) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function matchRoutes(routes, record) {
+  if (!routes || routes.length === 0) {
+    return [];
+  }
+  return routes.filter((rule) => matchesRoute(rule, record));
+}
+
+module.exports = {
+  matchRoutes,
+};
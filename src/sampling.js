@@ -0,0 +1,208 @@
+'use strict';
+
+const { compileGlob } = require('./glob');
+
+const MAX_TRACKED_MESSAGES = 10000;
+
+function coerceRate(rate, label) {
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value < 0 || value > 1) {
+    throw new Error(`Invalid sample rate for ${label}: ${JSON.stringify(rate)}`);
+  }
+  return value;
+}
+
+function buildSamplingConfig(options) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const levels = {};
+  for (const [name, rate] of Object.entries(opts.levels || {})) {
+    levels[String(name).trim().toUpperCase()] = coerceRate(rate, name);
+  }
+  const loggers = Object.entries(opts.loggers || {}).map(([pattern, rate]) => ({
+    pattern,
+    regex: compileGlob(pattern),
+    rate: coerceRate(rate, pattern),
+  }));
+  return { levels, loggers };
+}
+
+function parseSamplingSpec(spec) {
+  const levels = {};
+  for (const part of String(spec || '').split(',')) {
+    const [name, rate] = part.split('=').map((item) => item.trim());
+    if (name && rate !== undefined) {
+      levels[name] = Number(rate);
+    }
+  }
+  return { levels };
+}
+
+function buildRateLimitConfig(options) {
+  if (!options || typeof options !== 'object') {
+    return null;
+  }
+  const perSecond = Number(options.perSecond);
+  if (!Number.isFinite(perSecond) || perSecond <= 0) {
+    return null;
+  }
+  const burst = Number(options.burst);
+  return {
+    perSecond,
+    burst: Number.isFinite(burst) && burst >= 1 ? burst : Math.max(1, perSecond),
+  };
+}
+
+function formatCount(count) {
+  return Number(count).toLocaleString('en-US');
+}
+
+class CloudSampler {
+  constructor(getConfig, now = () => Date.now()) {
+    this._getConfig = getConfig;
+    this._now = now;
+    this._buckets = new Map();
+    this._suppressed = new Map();
+    this._timer = null;
+  }
+
+  sampleRate(record) {
+    const sampling = this._getConfig().sampling;
+    if (!sampling) {
+      return 1;
+    }
+    let rate = 1;
+    const levelName = String(record.levelname || '').toUpperCase();
+    if (Object.prototype.hasOwnProperty.call(sampling.levels, levelName)) {
+      rate *= sampling.levels[levelName];
+    }
+    const loggerName = String(record.name || '');
+    const loggerRule = sampling.loggers.find((rule) => rule.regex.test(loggerName));
+    if (loggerRule) {
+      rate *= loggerRule.rate;
+    }
+    return rate;
+  }
+
+  takeToken(key, rateLimit) {
+    const now = this._now();
+    let bucket = this._buckets.get(key);
+    if (!bucket) {
+      if (this._buckets.size >= MAX_TRACKED_MESSAGES) {
+        this._buckets.delete(this._buckets.keys().next().value);
+      }
+      bucket = { tokens: rateLimit.burst, updatedAt: now };
+      this._buckets.set(key, bucket);
+    }
+    const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(rateLimit.burst, bucket.tokens + (elapsedSeconds * rateLimit.perSecond));
+    bucket.updatedAt = now;
+    if (bucket.tokens < 1) {
+      return false;
+    }
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  // Sampled-out records are summarized per logger and level, since sampling applies to every message alike;
+  // rate-limited ones per template. Past MAX_TRACKED_MESSAGES templates, new ones fold into the per-level summary, and
+  // the summaries are sent early if even that does not fit.
+  allow(record, handler) {
+    if (record.alshival_summary) {
+      return true;
+    }
+    const template = String(record.msg !== undefined ? record.msg : record.message || '');
+    const levelKey = `${record.name}\n${record.levelno}`;
+    const key = `${levelKey}\n${template}`;
+
+    const rate = this.sampleRate(record);
+    if (rate < 1 && Math.random() >= rate) {
+      this.suppress(levelKey, template, record, handler, 'sampled');
+      return false;
+    }
+
+    const rateLimit = this._getConfig().rateLimit;
+    if (rateLimit && !this.takeToken(key, rateLimit)) {
+      const summaryKey = this._suppressed.has(key) || this._suppressed.size < MAX_TRACKED_MESSAGES - 1 ? key : levelKey;
+      this.suppress(summaryKey, template, record, handler, 'rateLimited');
+      return false;
+    }
+    return true;
+  }
+
+  suppress(key, template, record, handler, reason) {
+    let entry = this._suppressed.get(key);
+    if (!entry) {
+      if (this._suppressed.size >= MAX_TRACKED_MESSAGES) {
+        this.flushSummaries();
+      }
+      entry = {
+        template,
+        handler,
+        record,
+        sampled: 0,
+        rateLimited: 0,
+      };
+      this._suppressed.set(key, entry);
+    } else if (entry.template !== template) {
+      entry.template = null;
+    }
+    entry[reason] += 1;
+    entry.handler = handler;
+    entry.record = record;
+    this.scheduleSummary();
+  }
+
+  scheduleSummary() {
+    if (this._timer) {
+      return;
+    }
+    const seconds = Math.max(0, Number(this._getConfig().summaryIntervalSeconds) || 0);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.flushSummaries();
+    }, seconds * 1000);
+    this._timer.unref();
+  }
+
+  flushSummaries() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    const pending = [...this._suppressed.values()];
+    this._suppressed.clear();
+    for (const entry of pending) {
+      const count = entry.sampled + entry.rateLimited;
+      entry.handler.emit({
+        ...entry.record,
+        message: entry.template === null
+          ? `suppressed ${formatCount(count)} messages`
+          : `suppressed ${formatCount(count)} similar messages: ${entry.template}`,
+        extra: {
+          suppressed: count,
+          sampled: entry.sampled,
+          rate_limited: entry.rateLimited,
+          template: entry.template,
+        },
+        exception: null,
+        stack_info: null,
+        alshival_summary: true,
+      });
+    }
+  }
+
+  // Refills every rate-limit bucket and discards pending summaries without sending them.
+  reset() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._buckets.clear();
+    this._suppressed.clear();
+  }
+}
+
+module.exports = {
+  CloudSampler,
+  buildRateLimitConfig,
+  buildSamplingConfig,
+  parseSamplingSpec,
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+const { URL } = require('node:url');
+
+const DEFAULT_SERIALIZE_LIMITS = {
+  maxDepth: 10,
+  maxKeys: 100,
+  maxArrayLength: 100,
+  maxStringLength: 8192,
+};
+
+function truncateString(value, limits) {
+  if (value.length <= limits.maxStringLength) {
+    return value;
+  }
+  const omitted = value.length - limits.maxStringLength;
+  return `${value.slice(0, limits.maxStringLength)}...[${omitted} more chars]`;
+}
+
+function constructorName(value) {
+  const proto = Object.getPrototypeOf(value);
+  if (!proto || !proto.constructor || typeof proto.constructor.name !== 'string') {
+    return null;
+  }
+  return proto.constructor.name || null;
+}
+
+function serializeError(err, limits, depth, ancestors) {
+  const out = {
+    name: String(err.name || constructorName(err) || 'Error'),
+    message: truncateString(String(err.message || ''), limits),
+    stack: typeof err.stack === 'string' ? truncateString(err.stack, limits) : null,
+  };
+  if (err.code !== undefined) {
+    out.code = serializeNode(err.code, limits, depth + 1, ancestors);
+  }
+  if (err.cause !== undefined) {
+    out.cause = serializeNode(err.cause, limits, depth + 1, ancestors);
+  }
+  if (Array.isArray(err.errors)) {
+    out.errors = serializeNode(err.errors, limits, depth + 1, ancestors);
+  }
+  for (const [key, item] of Object.entries(err)) {
+    if (!Object.prototype.hasOwnProperty.call(out, key)) {
+      out[key] = serializeNode(item, limits, depth + 1, ancestors);
+    }
+  }
+  return out;
+}
+
+function serializeEntries(entries, limits, depth, ancestors) {
+  const out = {};
+  let count = 0;
+  for (const [key, item] of entries) {
+    if (count >= limits.maxKeys) {
+      out['[truncated]'] = `${entries.length - count} more keys`;
+      break;
+    }
+    out[typeof key === 'string' ? key : String(serializeNode(key, limits, depth + 1, ancestors))] = serializeNode(
+      item,
+      limits,
+      depth + 1,
+      ancestors,
+    );
+    count += 1;
+  }
+  return out;
+}
+
+function serializeList(items, limits, depth, ancestors) {
+  const out = items
+    .slice(0, limits.maxArrayLength)
+    .map((item) => serializeNode(item, limits, depth + 1, ancestors));
+  if (items.length > limits.maxArrayLength) {
+    out.push(`...[${items.length - limits.maxArrayLength} more items]`);
+  }
+  return out;
+}
+
+function serializeObject(value, limits, depth, ancestors) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+  }
+  if (value instanceof RegExp) {
+    return String(value);
+  }
+  if (value instanceof URL) {
+    return value.href;
+  }
+  if (Buffer.isBuffer(value)) {
+    return {
+      type: 'Buffer',
+      length: value.length,
+      base64: truncateString(value.toString('base64'), limits),
+    };
+  }
+  if (value instanceof ArrayBuffer) {
+    return { type: 'ArrayBuffer', byteLength: value.byteLength };
+  }
+  if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+    return serializeList(Array.from(value), limits, depth, ancestors);
+  }
+
+  if (depth >= limits.maxDepth) {
+    if (Array.isArray(value) || value instanceof Set) {
+      return '[Array]';
+    }
+    return `[${constructorName(value) || 'Object'}]`;
+  }
+
+  if (value instanceof Error) {
+    return serializeError(value, limits, depth, ancestors);
+  }
+  if (Array.isArray(value)) {
+    return serializeList(value, limits, depth, ancestors);
+  }
+  if (value instanceof Set) {
+    return serializeList([...value], limits, depth, ancestors);
+  }
+  if (value instanceof Map) {
+    return serializeEntries([...value.entries()], limits, depth, ancestors);
+  }
+  if (typeof value.toJSON === 'function') {
+    return serializeNode(value.toJSON(), limits, depth, ancestors);
+  }
+
+  const out = serializeEntries(Object.entries(value), limits, depth, ancestors);
+  const name = constructorName(value);
+  if (name && name !== 'Object') {
+    return { __type: name, ...out };
+  }
+  return out;
+}
+
+function serializeNode(value, limits, depth, ancestors) {
+  if (value === null || value === undefined || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return truncateString(value, limits);
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : String(value);
+  }
+  if (typeof value === 'bigint' || typeof value === 'symbol') {
+    return value.toString();
+  }
+  if (typeof value === 'function') {
+    return `[Function ${value.name || 'anonymous'}]`;
+  }
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+
+  ancestors.add(value);
+  try {
+    return serializeObject(value, limits, depth, ancestors);
+  } catch {
+    return '[Unserializable]';
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+function serializeValue(value, limits = {}) {
+  const resolved = { ...DEFAULT_SERIALIZE_LIMITS };
+  for (const key of Object.keys(DEFAULT_SERIALIZE_LIMITS)) {
+    const candidate = Number(limits[key]);
+    if (Number.isFinite(candidate) && candidate >= 0) {
+      resolved[key] = Math.trunc(candidate);
+    }
+  }
+  return serializeNode(value, resolved, 0, new Set());
+}
+
+module.exports = {
+  DEFAULT_SERIALIZE_LIMITS,
+  serializeValue,
+};
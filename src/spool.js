@@ -0,0 +1,212 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { debug, errorMessage } = require('./diagnostics');
+
+const SPOOL_FILE_SUFFIX = '.spool.jsonl';
+const MAX_SEGMENT_BYTES = 1024 * 1024;
+
+// Segments are named `<stamp>-<sequence>-<tag>-<pid>.spool.jsonl`. The tag identifies the destination the batches
+// were sent to, so clients sharing a directory never replay each other's batches under their own API key.
+function spoolTag(destination) {
+  return crypto.createHash('sha1').update(String(destination)).digest('hex').slice(0, 12);
+}
+
+function segmentTag(file) {
+  const match = /^\d+-\d+-([0-9a-f]{12})-/.exec(path.basename(file));
+  return match ? match[1] : null;
+}
+
+// The pid of the process that owns a segment: the last `-<pid>` in its name. A process only appends to and replays
+// its own segments; it takes over a dead process's segment by renaming it with its own pid appended.
+function segmentOwner(file) {
+  const match = /-(\d+)\.spool\.jsonl$/.exec(file);
+  return match ? Number(match[1]) : null;
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// Segments being replayed in this process, so two clients with the same destination do not send one twice.
+const replayingFiles = new Set();
+
+class Spool {
+  constructor({ dir, maxBytes, tag }) {
+    this.dir = path.resolve(String(dir));
+    this.maxBytes = Number(maxBytes);
+    this.tag = String(tag);
+    this._segment = null;
+    this._sequence = 0;
+    this._replaying = null;
+  }
+
+  files() {
+    let names;
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch {
+      return [];
+    }
+    return names
+      .filter((name) => name.endsWith(SPOOL_FILE_SUFFIX))
+      .sort()
+      .map((name) => path.join(this.dir, name));
+  }
+
+  // Segments with this spool's tag that this process may replay: its own, and those left by processes that are gone.
+  // Segments of other live processes (cluster workers sharing the directory) are left to them.
+  replayableFiles() {
+    return this.files().filter((file) => {
+      if (segmentTag(file) !== this.tag || replayingFiles.has(file)) {
+        return false;
+      }
+      const owner = segmentOwner(file);
+      return owner === process.pid || !processAlive(owner);
+    });
+  }
+
+  // Atomically renames a dead process's segment to one owned by this process. Returns null when another process
+  // claimed it first.
+  claim(file) {
+    if (segmentOwner(file) === process.pid) {
+      return file;
+    }
+    const claimed = `${file.slice(0, -SPOOL_FILE_SUFFIX.length)}-${process.pid}${SPOOL_FILE_SUFFIX}`;
+    try {
+      fs.renameSync(file, claimed);
+      return claimed;
+    } catch (err) {
+      debug(`spool segment ${path.basename(file)} not claimed: ${errorMessage(err)}`);
+      return null;
+    }
+  }
+
+  totalBytes() {
+    let total = 0;
+    for (const file of this.files()) {
+      try {
+        total += fs.statSync(file).size;
+      } catch {
+        // File was replayed concurrently.
+      }
+    }
+    return total;
+  }
+
+  hasPending() {
+    return this.replayableFiles().length > 0;
+  }
+
+  nextSegment() {
+    this._sequence += 1;
+    const stamp = String(Date.now()).padStart(15, '0');
+    const sequence = String(this._sequence).padStart(6, '0');
+    return path.join(this.dir, `${stamp}-${sequence}-${this.tag}-${process.pid}${SPOOL_FILE_SUFFIX}`);
+  }
+
+  append({
+    url,
+    headers,
+    apiKeyRoute = null,
+    payload,
+  }) {
+    const storedHeaders = { ...headers };
+    delete storedHeaders['x-api-key'];
+    const batch = { url, headers: storedHeaders, payload };
+    if (apiKeyRoute !== null) {
+      batch.apiKeyRoute = apiKeyRoute;
+    }
+    const line = `${JSON.stringify(batch)}\n`;
+    const lineBytes = Buffer.byteLength(line);
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      if (this.totalBytes() + lineBytes > this.maxBytes) {
+        debug(`spool full, dropping batch of ${payload.logs.length} record(s)`);
+        return false;
+      }
+      const segmentLimit = Math.min(MAX_SEGMENT_BYTES, this.maxBytes);
+      if (!this._segment || !fs.existsSync(this._segment) || fs.statSync(this._segment).size + lineBytes > segmentLimit) {
+        this._segment = this.nextSegment();
+      }
+      fs.appendFileSync(this._segment, line);
+      return true;
+    } catch (err) {
+      debug(`spool write failed: ${errorMessage(err)}`);
+      return false;
+    }
+  }
+
+  replay(deliver) {
+    if (!this._replaying) {
+      this._replaying = this.replayFiles(deliver).finally(() => {
+        this._replaying = null;
+      });
+    }
+    return this._replaying;
+  }
+
+  async replayFiles(deliver) {
+    // Close the active segment so new failures start a fresh file behind the ones being replayed.
+    this._segment = null;
+    for (const candidate of this.replayableFiles()) {
+      if (replayingFiles.has(candidate)) {
+        continue;
+      }
+      const file = this.claim(candidate);
+      if (!file) {
+        continue;
+      }
+      replayingFiles.add(file);
+      try {
+        if (!(await this.replayFile(file, deliver))) {
+          return false;
+        }
+      } finally {
+        replayingFiles.delete(file);
+      }
+    }
+    return true;
+  }
+
+  async replayFile(file, deliver) {
+    let lines;
+    try {
+      lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    } catch (err) {
+      debug(`spool read failed: ${errorMessage(err)}`);
+      return false;
+    }
+
+    for (let index = 0; index < lines.length; index += 1) {
+      let batch;
+      try {
+        batch = JSON.parse(lines[index]);
+      } catch {
+        debug(`spool skipping corrupt line in ${file}`);
+        continue;
+      }
+      const result = await deliver(batch);
+      if (!result.ok && result.retryable) {
+        fs.writeFileSync(file, `${lines.slice(index).join('\n')}\n`);
+        return false;
+      }
+    }
+    fs.rmSync(file, { force: true });
+    return true;
+  }
+}
+
+module.exports = {
+  Spool,
+  spoolTag,
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+const COUNTERS = [
+  'emitted',
+  'forwarded',
+  'filteredByLevel',
+  'skipped',
+  'suppressed',
+  'dropped',
+  'delivered',
+  'failed',
+  'retries',
+];
+
+// Counters for one client's records and posts. Records are counted as they pass through the cloud handler
+// (emitted, then forwarded or filtered/skipped/suppressed) and the delivery pipeline (dropped, delivered, failed).
+class DeliveryStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    for (const name of COUNTERS) {
+      this[name] = 0;
+    }
+    this.failedByStatus = {};
+    this._posts = 0;
+    this._latencyMs = 0;
+  }
+
+  count(name, amount = 1) {
+    this[name] += amount;
+  }
+
+  // `status` is the HTTP status code, or the error code (e.g. ETIMEDOUT) when no response arrived.
+  countFailure(status, records) {
+    this.failed += records;
+    const key = String(status);
+    this.failedByStatus[key] = (this.failedByStatus[key] || 0) + 1;
+  }
+
+  countPost(latencyMs) {
+    this._posts += 1;
+    this._latencyMs += latencyMs;
+  }
+
+  snapshot() {
+    const snapshot = {};
+    for (const name of COUNTERS) {
+      snapshot[name] = this[name];
+    }
+    snapshot.failedByStatus = { ...this.failedByStatus };
+    snapshot.posts = this._posts;
+    snapshot.averageLatencyMs = this._posts > 0 ? this._latencyMs / this._posts : 0;
+    return snapshot;
+  }
+}
+
+module.exports = {
+  DeliveryStats,
+};
@@ -0,0 +1,283 @@
+'use strict';
+
+const { AssertionError } = require('node:assert');
+const { inspect, isDeepStrictEqual } = require('node:util');
+
+const alshival = require('./index');
+const { setTransportForTests } = require('./delivery');
+const { defaultRuntime } = require('./logger');
+
+const TEST_API_KEY = 'test-api-key';
+const TEST_RESOURCE = 'https://alshival.test/u/test/resources/test-resource/';
+
+function delay(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+function matchesValue(expected, actual) {
+  if (expected instanceof RegExp) {
+    return typeof actual === 'string' && expected.test(actual);
+  }
+  if (typeof expected === 'function') {
+    return Boolean(expected(actual));
+  }
+  if (expected && typeof expected === 'object') {
+    return isDeepStrictEqual(expected, actual);
+  }
+  return expected === actual;
+}
+
+// `matcher` fields: level, message, logger, resourceId, exception (each a value, RegExp or predicate) and extra
+// (an object whose keys must all match the record's extra fields).
+function matchesRecord(matcher, record) {
+  for (const [key, expected] of Object.entries(matcher)) {
+    if (key === 'extra') {
+      const extra = record.extra && typeof record.extra === 'object' ? record.extra : {};
+      for (const [field, value] of Object.entries(expected)) {
+        if (!matchesValue(value, extra[field])) {
+          return false;
+        }
+      }
+    } else if (key === 'level' && typeof expected === 'string') {
+      if (expected.toLowerCase() !== record.level) {
+        return false;
+      }
+    } else if (!matchesValue(expected, record[key])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function describeRecords(records) {
+  if (records.length === 0) {
+    return 'nothing was logged';
+  }
+  return `logged:\n${records.map((record) => `  ${record.level} ${record.logger}: ${record.message}`).join('\n')}`;
+}
+
+function captureRecord(request, entry) {
+  const details = entry.extra && typeof entry.extra === 'object' ? entry.extra : {};
+  return {
+    level: entry.level,
+    message: entry.message,
+    logger: entry.logger,
+    ts: entry.ts,
+    extra: details.extra,
+    exception: details.exception,
+    stack_info: details.stack_info,
+    fingerprint: details.fingerprint,
+    trace_id: details.trace_id,
+    resourceId: request.payload.resource_id,
+    url: request.url,
+    entry,
+  };
+}
+
+// An in-memory transport. Accepted posts add their entries to `records`; every post, accepted or not, is kept in
+// `requests`. Use `capture.transport` with createClient({ transport }) or install it for the default client with
+// captureLogs().
+class LogCapture {
+  constructor() {
+    this.records = [];
+    this.requests = [];
+    this._responses = [];
+    this._generation = 0;
+    this.transport = (request) => this.respond(request);
+  }
+
+  // Queues simulated responses for the next `times` posts (default: all of them, until reset()):
+  // { status } for an HTTP status, { timeout: true } for a request timeout, { error } to reject with that error,
+  // and { latencyMs } to delay any of these.
+  simulate({
+    status = 202,
+    timeout = false,
+    error = null,
+    latencyMs = 0,
+    headers = {},
+    times = Infinity,
+  } = {}) {
+    this._responses.push({ status, timeout, error, latencyMs, headers, remaining: times });
+    return this;
+  }
+
+  nextResponse() {
+    const response = this._responses[0];
+    if (!response) {
+      return { status: 202, timeout: false, error: null, latencyMs: 0, headers: {} };
+    }
+    response.remaining -= 1;
+    if (response.remaining <= 0) {
+      this._responses.shift();
+    }
+    return response;
+  }
+
+  async respond(request) {
+    const generation = this._generation;
+    const response = this.nextResponse();
+    const attempt = { url: request.url, headers: request.headers, payload: request.payload, status: null, error: null };
+    this.requests.push(attempt);
+    if (response.latencyMs > 0) {
+      await delay(response.latencyMs);
+    }
+    if (response.timeout || response.error) {
+      let { error } = response;
+      if (!error) {
+        error = new Error('Request timeout');
+        error.code = 'ETIMEDOUT';
+      }
+      attempt.error = error;
+      throw error;
+    }
+    attempt.status = response.status;
+    // A post that was still in flight when reset() ran belongs to the previous test.
+    if (response.status < 400 && generation === this._generation) {
+      for (const entry of request.payload.logs) {
+        this.records.push(captureRecord(request, entry));
+      }
+    }
+    return { statusCode: response.status, headers: response.headers };
+  }
+
+  find(matcher = {}) {
+    return this.records.find((record) => matchesRecord(matcher, record)) || null;
+  }
+
+  filter(matcher = {}) {
+    return this.records.filter((record) => matchesRecord(matcher, record));
+  }
+
+  // Returns the first matching record, or throws an AssertionError listing what was logged.
+  expectLogged(matcher = {}) {
+    const record = this.find(matcher);
+    if (!record) {
+      throw new AssertionError({
+        message: `Expected a record matching ${inspect(matcher)}, but ${describeRecords(this.records)}`,
+        actual: this.records.map(({ entry }) => entry),
+        expected: matcher,
+        operator: 'expectLogged',
+        stackStartFn: this.expectLogged,
+      });
+    }
+    return record;
+  }
+
+  expectNotLogged(matcher = {}) {
+    const record = this.find(matcher);
+    if (record) {
+      throw new AssertionError({
+        message: `Expected no record matching ${inspect(matcher)}, but got ${inspect(record.entry)}`,
+        actual: record.entry,
+        expected: matcher,
+        operator: 'expectNotLogged',
+        stackStartFn: this.expectNotLogged,
+      });
+    }
+  }
+
+  reset() {
+    this._generation += 1;
+    this.records = [];
+    this.requests = [];
+    this._responses = [];
+  }
+}
+
+let active = null;
+let savedConfig = null;
+let resetHookInstalled = false;
+
+function activeCapture(name) {
+  if (!active) {
+    throw new Error(`${name}() needs captureLogs() to be called first`);
+  }
+  return active;
+}
+
+// Replaces the transport used by every client that was not created with its own, or restores the HTTP transport
+// when called without a function.
+function setTransport(fn) {
+  setTransportForTests(fn);
+}
+
+// Sends everything the SDK ships to an in-memory LogCapture instead of Alshival. Clients created with their own
+// transport are not affected. A test API key and resource are filled in when none are configured, so records are
+// shipped as they would be in production, and retries do not back off. The capture is reset after each test when the framework exposes a global
+// afterEach (Jest, Mocha, Vitest with globals); with node:test, pass it in: captureLogs({ afterEach: test.afterEach }).
+function captureLogs({ afterEach = globalThis.afterEach, autoReset = true } = {}) {
+  if (!active) {
+    active = new LogCapture();
+    const cfg = alshival.getConfig();
+    savedConfig = {
+      apiKey: cfg.apiKey,
+      resourceBaseUrl: cfg.resourceBaseUrl,
+      resourceLogsPrefix: cfg.resourceLogsPrefix,
+      resourceId: cfg.resourceId,
+      retryBaseSeconds: cfg.retryBaseSeconds,
+    };
+    // Simulated failures are retried without waiting.
+    cfg.retryBaseSeconds = 0;
+    if (!cfg.apiKey) {
+      cfg.apiKey = TEST_API_KEY;
+    }
+    if (!cfg.resourceId) {
+      Object.assign(cfg, alshival.parseResourceReference(TEST_RESOURCE));
+    }
+    setTransport(active.transport);
+    defaultRuntime.reset();
+  }
+  if (autoReset && !resetHookInstalled && typeof afterEach === 'function') {
+    resetHookInstalled = true;
+    afterEach(() => reset());
+  }
+  return active;
+}
+
+// Clears captured records and simulated responses, and resets the default client's dedupe and rate-limit state,
+// queued records and stats, so each test starts from scratch. Posts still in flight or waiting to be retried are
+// abandoned.
+function reset() {
+  if (active) {
+    active.reset();
+  }
+  defaultRuntime.reset();
+}
+
+// Puts back the HTTP transport and the configuration captureLogs() replaced.
+function restore() {
+  if (!active) {
+    return;
+  }
+  setTransport();
+  Object.assign(alshival.getConfig(), savedConfig);
+  active = null;
+  savedConfig = null;
+}
+
+function expectLogged(matcher) {
+  return activeCapture('expectLogged').expectLogged(matcher);
+}
+
+function expectNotLogged(matcher) {
+  activeCapture('expectNotLogged').expectNotLogged(matcher);
+}
+
+function simulate(options) {
+  return activeCapture('simulate').simulate(options);
+}
+
+module.exports = {
+  LogCapture,
+  TEST_API_KEY,
+  TEST_RESOURCE,
+  captureLogs,
+  expectLogged,
+  expectNotLogged,
+  reset,
+  restore,
+  setTransport,
+  simulate,
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+const { getContext } = require('./context');
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(?:-.*)?$/;
+const ZERO_TRACE_ID = '0'.repeat(32);
+const ZERO_SPAN_ID = '0'.repeat(16);
+
+let openTelemetry;
+
+function loadOpenTelemetry() {
+  if (openTelemetry === undefined) {
+    try {
+      // Optional peer dependency: only used when the app already has it installed.
+      openTelemetry = require('@opentelemetry/api');
+    } catch {
+      openTelemetry = null;
+    }
+  }
+  return openTelemetry;
+}
+
+function isValidIds(traceId, spanId) {
+  return /^[0-9a-f]{32}$/.test(traceId)
+    && /^[0-9a-f]{16}$/.test(spanId)
+    && traceId !== ZERO_TRACE_ID
+    && spanId !== ZERO_SPAN_ID;
+}
+
+function parseTraceparent(value) {
+  const match = TRACEPARENT.exec(String(value || '').trim().toLowerCase());
+  if (!match || match[1] === 'ff' || !isValidIds(match[2], match[3])) {
+    return null;
+  }
+  return {
+    trace_id: match[2],
+    span_id: match[3],
+    trace_flags: match[4],
+  };
+}
+
+function openTelemetryTraceContext() {
+  const api = loadOpenTelemetry();
+  if (!api || !api.trace || !api.context) {
+    return null;
+  }
+  try {
+    const span = api.trace.getSpan(api.context.active());
+    const spanContext = span && typeof span.spanContext === 'function' ? span.spanContext() : null;
+    if (!spanContext || !isValidIds(spanContext.traceId, spanContext.spanId)) {
+      return null;
+    }
+    return {
+      trace_id: spanContext.traceId,
+      span_id: spanContext.spanId,
+      trace_flags: Number(spanContext.traceFlags || 0).toString(16).padStart(2, '0'),
+    };
+  } catch {
+    return null;
+  }
+}
+
+function activeTraceContext() {
+  return openTelemetryTraceContext() || parseTraceparent(getContext().traceparent);
+}
+
+module.exports = {
+  activeTraceContext,
+  parseTraceparent,
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+// Provided by winston itself; this module is only loaded by apps that use winston.
+const Transport = require('winston-transport');
+
+const { createForwarder, errorOf, mapLevel, messageText, timeOf, traceOf } = require('./integrations');
+
+const LEVEL = Symbol.for('level');
+const SPLAT = Symbol.for('splat');
+
+const WINSTON_OMIT_KEYS = new Set(['level', 'message', 'stack', 'timestamp', 'trace_id', 'span_id', 'trace_flags']);
+
+function winstonRecord(info, options = {}) {
+  // `info.level` may have been colorized by a format; the symbol keeps the raw level name.
+  const level = info[LEVEL] || info.level;
+  const levelno = mapLevel(level, options.levels);
+  if (levelno === null) {
+    return null;
+  }
+  const extra = {};
+  for (const [key, value] of Object.entries(info)) {
+    if (!WINSTON_OMIT_KEYS.has(key)) {
+      extra[key] = key === 'error' || key === 'err' ? errorOf(value).fields : value;
+    }
+  }
+  let exception = typeof info.stack === 'string' && info.stack ? info.stack : null;
+  if (!exception) {
+    for (const candidate of [info.error, info.err, ...(info[SPLAT] || [])]) {
+      if (candidate instanceof Error) {
+        exception = errorOf(candidate).exception;
+        break;
+      }
+    }
+  }
+  return {
+    name: options.name || 'winston',
+    levelno,
+    message: messageText(info.message),
+    extra,
+    exception,
+    time: timeOf(info.timestamp),
+    trace: traceOf(info),
+  };
+}
+
+class AlshivalTransport extends Transport {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'alshival';
+    this._options = options;
+    this._forwarder = createForwarder(options);
+  }
+
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+    try {
+      this._forwarder.forward(winstonRecord(info, this._options));
+    } catch {
+      // Never fail the application's logger.
+    }
+    callback();
+  }
+
+  close() {
+    this._forwarder.flush().then(() => this.emit('closed'));
+  }
+}
+
+module.exports = {
+  AlshivalTransport,
+  winstonRecord,
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.batchMaxBytes = 256 * 1024;
+  cfg.batchIntervalSeconds = 1;
+  cfg.flushOnExit = false;
+  cfg.flushTimeoutSeconds = 5;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    await alshival.flush();
+    alshival._setTransportForTests();
+  }
+}
+
+function withEnv(tempEnv, fn) {
+  const previous = {};
+  for (const key of Object.keys(tempEnv)) {
+    previous[key] = process.env[key];
+    process.env[key] = tempEnv[key];
+  }
+  try {
+    return fn();
+  } finally {
+    for (const key of Object.keys(tempEnv)) {
+      if (previous[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previous[key];
+      }
+    }
+  }
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('batch size groups records into one payload', async () => {
+  alshival.configure({ batchSize: 3 });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.info('one');
+    alshival.log.info('two');
+    assert.equal(calls.length, 0);
+
+    alshival.log.info('three');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].payload.logs.map((entry) => entry.message), ['one', 'two', 'three']);
+    assert.equal(calls[0].payload.resource_id, 'r');
+  });
+});
+
+test('batch interval sends partial batch', async () => {
+  alshival.configure({ batchSize: 100, batchIntervalSeconds: 0.01 });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.info('queued');
+    assert.equal(calls.length, 0);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].payload.logs.length, 1);
+  });
+});
+
+test('batch max bytes splits oversized batches', async () => {
+  alshival.configure({ batchSize: 100, batch_max_bytes: 600 });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.info('x'.repeat(200));
+    alshival.log.info('y'.repeat(200));
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].payload.logs.length, 1);
+    alshival.log.info('z'.repeat(200));
+    assert.equal(calls.length, 2);
+  });
+});
+
+test('records for different resources are batched separately', async () => {
+  alshival.configure({ batchSize: 2 });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.info('default resource');
+    alshival.log.info('other resource', { resourceId: 'other' });
+    assert.equal(calls.length, 0);
+
+    alshival.log.info('other again', { resourceId: 'other' });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].payload.resource_id, 'other');
+    assert.equal(calls[0].url.endsWith('/resources/other/logs/'), true);
+  });
+});
+
+test('env batch settings are read', () => {
+  const cfg = withEnv(
+    {
+      ALSHIVAL_BATCH_SIZE: '50',
+      ALSHIVAL_BATCH_MAX_BYTES: '1024',
+      ALSHIVAL_BATCH_INTERVAL_SECONDS: '2.5',
+    },
+    () => alshival.buildClientConfigFromEnv(),
+  );
+
+  assert.equal(cfg.batchSize, 50);
+  assert.equal(cfg.batchMaxBytes, 1024);
+  assert.equal(cfg.batchIntervalSeconds, 2.5);
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.callSiteLevel = null;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+function thisLine(stack) {
+  return Number(/callsite\.test\.js:(\d+)/.exec(stack)[1]);
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('call site is not captured by default', async () => {
+  await withTransportCapture(async (calls) => {
+    alshival.log.error('no call site');
+    const details = calls[0].payload.logs[0].extra;
+    assert.equal(details.module, 'alshival');
+    assert.equal(details.function, null);
+    assert.equal(details.line, null);
+    assert.equal(details.path, null);
+  });
+});
+
+test('call site fills module, function, line and path', async () => {
+  alshival.configure({ callSiteLevel: 'INFO' });
+
+  await withTransportCapture(async (calls) => {
+    let expectedLine;
+    function handleOrder() {
+      alshival.log.child({ order: 1 }).info('with call site'); expectedLine = thisLine(new Error().stack);
+    }
+    handleOrder();
+
+    const details = calls[0].payload.logs[0].extra;
+    assert.equal(details.module, 'callsite.test');
+    assert.equal(details.function, 'handleOrder');
+    assert.equal(details.line, expectedLine);
+    assert.equal(details.path, __filename);
+  });
+});
+
+test('call site capture respects the configured level', async () => {
+  alshival.configure({ call_site_level: 'ERROR' });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.warning('below call site level');
+    alshival.log.error('at call site level');
+
+    assert.equal(calls[0].payload.logs[0].extra.line, null);
+    assert.equal(calls[1].payload.logs[0].extra.path, __filename);
+  });
+});
+
+test('records below the logger level never capture a call site', (t) => {
+  alshival.configure({ callSiteLevel: 'DEBUG' });
+  const captureStackTrace = t.mock.method(Error, 'captureStackTrace');
+  const seen = [];
+  const logger = alshival.getLogger('quiet', {
+    level: 'WARNING',
+    cloudLevel: 'NONE',
+    handlers: [{ emit: (record) => seen.push(record) }],
+  });
+
+  logger.debug('discarded %s', 'debug');
+  logger.info('discarded info');
+  assert.equal(captureStackTrace.mock.callCount(), 0);
+  assert.equal(seen.length, 0);
+
+  logger.warning('kept');
+  assert.equal(captureStackTrace.mock.callCount(), 1);
+  assert.equal(seen[0].path, __filename);
+});
+
+test('attached loggers report the caller instead of the wrapper', async () => {
+  alshival.configure({ callSiteLevel: 'DEBUG' });
+
+  await withTransportCapture(async (calls) => {
+    const external = { name: 'external', error() {} };
+    alshival.attach(external, { cloudLevel: 'INFO' });
+    external.error('external failure');
+
+    assert.equal(calls[0].payload.logs[0].extra.path, __filename);
+  });
+});
+
+test('source maps resolve compiled frames to the original source', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alshival-callsite-'));
+  const map = {
+    version: 3,
+    sources: ['../src/orders.ts'],
+    names: [],
+    mappings: ';AASA',
+  };
+  const compiled = [
+    "'use strict';",
+    "module.exports = function placeOrder(alshival) { alshival.log.error('compiled'); };",
+    `//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`,
+  ].join('\n');
+  const compiledPath = path.join(dir, 'dist', 'orders.js');
+  fs.mkdirSync(path.dirname(compiledPath));
+  fs.writeFileSync(compiledPath, compiled);
+  alshival.configure({ callSiteLevel: 'ERROR' });
+
+  try {
+    await withTransportCapture(async (calls) => {
+      require(compiledPath)(alshival);
+
+      const details = calls[0].payload.logs[0].extra;
+      assert.equal(details.path, path.join(dir, 'src', 'orders.ts'));
+      assert.equal(details.line, 10);
+      assert.equal(details.module, 'orders');
+      assert.equal(details.function, 'placeOrder');
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('child logger merges bound fields into extra', async () => {
+  await withTransportCapture(async (calls) => {
+    const requestLog = alshival.log.child({ request_id: 'abc', tenant: 'acme' });
+    requestLog.info('handled', { extra: { status: 200 } });
+
+    assert.deepEqual(calls[0].payload.logs[0].extra.extra, { request_id: 'abc', tenant: 'acme', status: 200 });
+    assert.equal(calls[0].payload.logs[0].logger, 'alshival');
+  });
+});
+
+test('child loggers nest and call-site extra wins', async () => {
+  await withTransportCapture(async (calls) => {
+    const parent = alshival.log.child({ request_id: 'abc', step: 'parent' });
+    const nested = parent.child({ step: 'nested' });
+    nested.info('nested', { extra: { request_id: 'override' } });
+
+    assert.deepEqual(calls[0].payload.logs[0].extra.extra, { request_id: 'override', step: 'nested' });
+    assert.deepEqual(parent.bindings(), { request_id: 'abc', step: 'parent' });
+  });
+});
+
+test('child logger inherits level, handlers and resource', async () => {
+  await withTransportCapture(async (calls) => {
+    const logger = alshival.getLogger('payments', { level: 'WARNING', resourceId: 'payments-r' });
+    const child = logger.child({ order: 7 });
+
+    child.info('below parent level');
+    assert.equal(calls.length, 0);
+
+    child.warning('retrying charge');
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].payload.resource_id, 'payments-r');
+    assert.equal(calls[0].payload.logs[0].logger, 'payments');
+    assert.equal(child.handlers, logger.handlers);
+  });
+});
+
+test('handlers added to or removed from a child leave the parent alone', () => {
+  const parentRecords = [];
+  const childRecords = [];
+  const parentSink = { emit: (record) => parentRecords.push(record.message) };
+  const childSink = { emit: (record) => childRecords.push(record.message) };
+  const parent = alshival.getLogger('jobs', { cloudLevel: 'NONE', handlers: [parentSink] });
+  const child = parent.child({ job: 'sync' });
+
+  child.addHandler(childSink);
+  parent.info('parent only');
+  child.info('both');
+  child.removeHandler(parentSink);
+  child.info('child only');
+
+  assert.deepEqual(parentRecords, ['parent only', 'both']);
+  assert.deepEqual(childRecords, ['both', 'child only']);
+  assert.equal(parent.handlers.includes(childSink), false);
+});
+
+test('child rejects non-object bindings', () => {
+  assert.throws(() => alshival.log.child('request'), /expects an object/);
+});
@@ -0,0 +1,207 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { main, pipeRecord } = require('../src/cli');
+
+const BIN = path.join(__dirname, '..', 'bin', 'alshival.js');
+
+function startServer(statusCode = 202) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, payload: JSON.parse(body) });
+      res.statusCode = statusCode;
+      res.end('{}');
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, base: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function cliEnv(overrides = {}) {
+  const env = {};
+  for (const [key, value] of Object.entries(process.env)) {
+    if (!key.startsWith('ALSHIVAL_')) {
+      env[key] = value;
+    }
+  }
+  return { ...env, ...overrides };
+}
+
+function runCli(args, { env, input = '' } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [BIN, ...args], { cwd: os.tmpdir(), env, timeout: 10000 });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+    child.stdin.end(input);
+  });
+}
+
+function memoryStream() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+      return true;
+    },
+  };
+}
+
+test('send posts one record with its level and extra fields', async () => {
+  const { server, requests, base } = await startServer();
+  try {
+    const result = await runCli(
+      ['send', '--level', 'error', 'disk', 'full', '--extra', 'host=db1', '-e', 'mount=/var'],
+      { env: cliEnv({ ALSHIVAL_API_KEY: 'cli-key', ALSHIVAL_RESOURCE: `${base}/u/ops/resources/res-1/` }) },
+    );
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, '/u/ops/resources/res-1/logs/');
+    assert.equal(requests[0].headers['x-api-key'], 'cli-key');
+    const [entry] = requests[0].payload.logs;
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.message, 'disk full');
+    assert.equal(entry.logger, 'cli');
+    assert.deepEqual(entry.extra.extra, { host: 'db1', mount: '/var' });
+  } finally {
+    server.close();
+  }
+});
+
+test('send exits non-zero when the record cannot be delivered', async () => {
+  const { server, base } = await startServer(403);
+  try {
+    const rejected = await runCli(
+      ['send', 'hello'],
+      { env: cliEnv({ ALSHIVAL_API_KEY: 'bad-key', ALSHIVAL_RESOURCE: `${base}/u/ops/resources/res-1/` }) },
+    );
+    assert.equal(rejected.code, 1);
+    assert.match(rejected.stderr, /1 record\(s\) failed to deliver \(403 x1\)/);
+
+    const unconfigured = await runCli(['send', 'hello'], { env: cliEnv() });
+    assert.equal(unconfigured.code, 1);
+    assert.match(unconfigured.stderr, /no API key or resource is configured/);
+  } finally {
+    server.close();
+  }
+});
+
+test('pipe forwards plain and JSON lines from stdin', async () => {
+  const { server, requests, base } = await startServer();
+  try {
+    const input = [
+      'plain text line',
+      '',
+      '{"level":50,"msg":"pino error","name":"api","reqId":7}',
+      '{"level":"warn","message":"generic json","logger":"worker"}',
+      '{not json',
+    ].join('\n');
+    const result = await runCli(['pipe', '--level', 'warning'], {
+      env: cliEnv({ ALSHIVAL_API_KEY: 'k', ALSHIVAL_RESOURCE: `${base}/u/ops/resources/res-1/` }),
+      input,
+    });
+    assert.equal(result.code, 0, result.stderr);
+    const entries = requests.flatMap((request) => request.payload.logs);
+    assert.deepEqual(
+      entries.map((entry) => [entry.level, entry.logger, entry.message]).sort(),
+      [
+        ['error', 'api', 'pino error'],
+        ['warning', 'pipe', 'plain text line'],
+        ['warning', 'pipe', '{not json'],
+        ['warning', 'worker', 'generic json'],
+      ],
+    );
+    const pino = entries.find((entry) => entry.logger === 'api');
+    assert.deepEqual(pino.extra.extra, { reqId: 7 });
+  } finally {
+    server.close();
+  }
+});
+
+test('doctor resolves the endpoint and makes a test post', async () => {
+  const { server, requests, base } = await startServer(201);
+  try {
+    const result = await runCli(['doctor'], {
+      env: cliEnv({
+        ALSHIVAL_API_KEY: 'abcdef123456',
+        ALSHIVAL_RESOURCE: `${base}/team/ops/resources/res-9/`,
+        ALSHIVAL_CLOUD_LEVEL: 'NONE',
+      }),
+    });
+    assert.equal(result.code, 0, result.stdout);
+    assert.match(result.stdout, /^ok {6}API key abcd\.\.\.56$/m);
+    assert.match(result.stdout, new RegExp(`^ok {6}endpoint ${base}/team/ops/resources/res-9/logs/$`, 'm'));
+    assert.match(result.stdout, /^ok {6}test post accepted: status 201 in \d+ms$/m);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].payload.logs[0].logger, 'alshival.doctor');
+  } finally {
+    server.close();
+  }
+});
+
+test('doctor reports configuration errors and rejected test posts', async () => {
+  const { server, base } = await startServer(404);
+  try {
+    const result = await runCli(['doctor'], {
+      env: cliEnv({
+        ALSHIVAL_API_KEY: 'k',
+        ALSHIVAL_RESOURCE: `${base}/u/ops/resources/missing/`,
+        ALSHIVAL_TIMEOUT_SECONDS: 'soon',
+      }),
+    });
+    assert.equal(result.code, 1);
+    assert.match(result.stdout, /^error {3}timeoutSeconds \(ALSHIVAL_TIMEOUT_SECONDS\): expected a number/m);
+    assert.match(result.stdout, /^error {3}test post rejected: status 404; check the resource URL/m);
+
+    const unconfigured = await runCli(['doctor'], { env: cliEnv() });
+    assert.equal(unconfigured.code, 1);
+    assert.match(unconfigured.stdout, /test post skipped: an API key and a resource are required/);
+  } finally {
+    server.close();
+  }
+});
+
+test('usage errors exit with code 2', async () => {
+  const stdout = memoryStream();
+  const stderr = memoryStream();
+  assert.equal(await main(['send', '--level', 'loud', 'x'], { stdout, stderr }), 2);
+  assert.match(stderr.text, /^alshival send: Invalid log level: "loud"/);
+  assert.equal(await main(['send', '--extra', 'novalue', 'x'], { stdout, stderr }), 2);
+  assert.equal(await main(['send', '--bogus', 'x'], { stdout, stderr }), 2);
+  assert.equal(await main(['frobnicate'], { stdout, stderr }), 2);
+  assert.equal(await main(['--help'], { stdout, stderr }), 0);
+  assert.match(stdout.text, /^Usage: alshival <command>/);
+});
+
+test('pipeRecord keeps the default level for JSON lines without one', () => {
+  assert.deepEqual(pipeRecord('{"msg":"started","port":80}', { name: 'pipe', levelno: 30 }), {
+    name: 'pipe',
+    levelno: 30,
+    message: 'started',
+    extra: { port: 80 },
+    exception: null,
+    time: null,
+    trace: null,
+  });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+const { alshivalStream } = require('../src/bunyan');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+}
+
+function captureTransport() {
+  const calls = [];
+  const transport = (request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  };
+  return { calls, transport };
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'default-key',
+    resource: 'https://alshival.dev/u/host/resources/app/',
+  });
+});
+
+test('clients keep their own configuration, transport and loggers', async () => {
+  const tenantA = captureTransport();
+  const tenantB = captureTransport();
+  const host = captureTransport();
+  alshival._setTransportForTests(host.transport);
+  try {
+    const a = alshival.createClient({
+      apiKey: 'key-a',
+      resource: 'https://a.example/u/alice/resources/res-a/',
+      transport: tenantA.transport,
+    });
+    const b = alshival.createClient({
+      apiKey: 'key-b',
+      resource: 'https://b.example/team/ops/resources/res-b/',
+      cloudLevel: 'ERROR',
+      transport: tenantB.transport,
+    });
+
+    a.log.info('from a');
+    b.log.info('filtered by b');
+    b.getLogger('worker').error('from b');
+    alshival.log.info('from host');
+    await Promise.all([a.flush(), b.flush(), alshival.flush()]);
+
+    assert.deepEqual(tenantA.calls.map((call) => [call.url, call.headers['x-api-key'], call.payload.logs[0].message]), [
+      ['https://a.example/u/alice/resources/res-a/logs/', 'key-a', 'from a'],
+    ]);
+    assert.deepEqual(tenantB.calls.map((call) => [call.url, call.payload.logs[0].logger, call.payload.logs[0].message]), [
+      ['https://b.example/team/ops/resources/res-b/logs/', 'worker', 'from b'],
+    ]);
+    assert.deepEqual(host.calls.map((call) => call.payload.logs[0].message), ['from host']);
+    assert.equal(alshival.getConfig().apiKey, 'default-key');
+    assert.equal(a.getConfig().cloudLevel, 20);
+    assert.equal(b.buildResourceLogsEndpoint('other'), 'https://b.example/team/ops/resources/other/logs/');
+  } finally {
+    alshival._setTransportForTests();
+  }
+});
+
+test('configure, batching and flush stay per client', async () => {
+  const tenant = captureTransport();
+  const client = alshival.createClient({
+    apiKey: 'key',
+    resource: 'https://a.example/u/alice/resources/res/',
+    batchSize: 10,
+    transport: tenant.transport,
+  });
+
+  client.log.info('one');
+  client.log.info('two');
+  assert.equal(tenant.calls.length, 0);
+  assert.equal(alshival.getConfig().batchSize, 1);
+
+  assert.equal(await client.flush(), true);
+  assert.equal(tenant.calls.length, 1);
+  assert.deepEqual(tenant.calls[0].payload.logs.map((entry) => entry.message), ['one', 'two']);
+
+  client.setEnabled(false);
+  client.log.info('disabled');
+  await client.flush();
+  assert.equal(tenant.calls.length, 1);
+  assert.equal(alshival.getConfig().enabled, true);
+});
+
+test('clients without their own transport use the test transport', async () => {
+  const host = captureTransport();
+  alshival._setTransportForTests(host.transport);
+  try {
+    const client = alshival.createClient({ apiKey: 'key', resource: 'https://a.example/u/alice/resources/res/' });
+    client.log.warning('shared');
+    await client.flush();
+    assert.equal(host.calls[0].headers['x-api-key'], 'key');
+  } finally {
+    alshival._setTransportForTests();
+  }
+});
+
+test('clients ignore ALSHIVAL_* variables unless fromEnv is set', () => {
+  const names = ['ALSHIVAL_RESOURCE', 'ALSHIVAL_SPOOL_DIR', 'ALSHIVAL_FLUSH_ON_EXIT'];
+  const previous = names.map((name) => process.env[name]);
+  process.env.ALSHIVAL_RESOURCE = 'https://alshival.dev/u/host/resources/host-app/';
+  process.env.ALSHIVAL_SPOOL_DIR = '/tmp/host-spool';
+  process.env.ALSHIVAL_FLUSH_ON_EXIT = 'true';
+  try {
+    const isolated = alshival.createClient({ apiKey: 'library-key' }).getConfig();
+    assert.equal(isolated.resourceId, null);
+    assert.equal(isolated.spoolDir, null);
+    assert.equal(isolated.flushOnExit, false);
+
+    const fromEnv = alshival.createClient({ apiKey: 'library-key', fromEnv: true, flushOnExit: false }).getConfig();
+    assert.equal(fromEnv.resourceId, 'host-app');
+    assert.equal(fromEnv.spoolDir, '/tmp/host-spool');
+    assert.equal(fromEnv.apiKey, 'library-key');
+  } finally {
+    names.forEach((name, index) => {
+      if (previous[index] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = previous[index];
+      }
+    });
+  }
+});
+
+test('child loggers, attach, middleware and integrations follow their client', async () => {
+  const tenant = captureTransport();
+  const client = alshival.createClient({
+    apiKey: 'key',
+    resource: 'https://a.example/u/alice/resources/res/',
+    transport: tenant.transport,
+  });
+
+  client.log.child({ job: 'sync' }).info('child');
+  const external = { name: 'external', info() {} };
+  client.attach(external);
+  external.info('attached');
+  alshivalStream({ client }).stream.write({ level: 30, name: 'bunyan', msg: 'streamed' });
+  const middleware = client.middleware.koa();
+  await middleware({ req: { method: 'GET', url: '/health', headers: {} }, status: 200 }, async () => {});
+  await client.flush();
+  client.detach(external);
+
+  const messages = tenant.calls.map((call) => call.payload.logs[0].message);
+  assert.deepEqual(messages.slice(0, 3), ['child', 'attached', 'streamed']);
+  assert.match(messages[3], /^GET \/health 200 [\d.]+ms$/);
+  assert.deepEqual(tenant.calls[0].payload.logs[0].extra.extra, { job: 'sync' });
+});
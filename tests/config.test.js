@@ -0,0 +1,230 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+const RESOURCE_URL = 'https://alshival.dev/u/file-user/resources/file-res/';
+
+function withEnv(tempEnv, fn) {
+  const previous = {};
+  for (const key of Object.keys(tempEnv)) {
+    previous[key] = process.env[key];
+    if (tempEnv[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = tempEnv[key];
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    for (const key of Object.keys(tempEnv)) {
+      if (previous[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previous[key];
+      }
+    }
+  }
+}
+
+function writeConfigFile(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alshival-config-'));
+  const filePath = path.join(dir, 'alshival.config.json');
+  fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return filePath;
+}
+
+test('config file supplies options and the selected profile overrides them', () => {
+  const filePath = writeConfigFile({
+    resource: RESOURCE_URL,
+    apiKey: 'file-key',
+    timeoutSeconds: 9,
+    cloudLevel: 'WARNING',
+    profiles: {
+      production: { cloudLevel: 'ERROR', batchSize: 50 },
+    },
+  });
+
+  const base = withEnv(
+    { ALSHIVAL_CONFIG: filePath, ALSHIVAL_PROFILE: undefined, NODE_ENV: undefined },
+    () => alshival.buildClientConfigFromEnv(),
+  );
+  assert.equal(base.resourceId, 'file-res');
+  assert.equal(base.apiKey, 'file-key');
+  assert.equal(base.timeoutSeconds, 9);
+  assert.equal(base.cloudLevel, 30);
+  assert.equal(base.batchSize, 1);
+
+  const production = withEnv(
+    { ALSHIVAL_CONFIG: filePath, ALSHIVAL_PROFILE: undefined, NODE_ENV: 'production' },
+    () => alshival.buildClientConfigFromEnv(),
+  );
+  assert.equal(production.cloudLevel, 40);
+  assert.equal(production.batchSize, 50);
+  assert.equal(production.timeoutSeconds, 9);
+});
+
+test('ALSHIVAL_PROFILE wins over NODE_ENV and a missing profile is reported', () => {
+  const filePath = writeConfigFile({
+    profiles: { staging: { batchSize: 5 }, production: { batchSize: 50 } },
+  });
+
+  const staging = withEnv(
+    { ALSHIVAL_CONFIG: filePath, ALSHIVAL_PROFILE: 'staging', NODE_ENV: 'production' },
+    () => alshival.loadClientConfig(),
+  );
+  assert.equal(staging.config.batchSize, 5);
+
+  const missing = withEnv(
+    { ALSHIVAL_CONFIG: filePath, ALSHIVAL_PROFILE: 'qa', NODE_ENV: undefined },
+    () => alshival.loadClientConfig(),
+  );
+  assert.equal(missing.config.batchSize, 1);
+  assert.deepEqual(missing.diagnostics, [{
+    severity: 'warning',
+    option: 'profiles',
+    source: filePath,
+    message: 'profile "qa" is not defined in the config file',
+  }]);
+});
+
+test('env vars override the config file and configure() overrides both', () => {
+  const filePath = writeConfigFile({ resource: RESOURCE_URL, timeoutSeconds: 9, verifySsl: true });
+  const client = withEnv(
+    {
+      ALSHIVAL_CONFIG: filePath,
+      ALSHIVAL_TIMEOUT_SECONDS: '2.5',
+      ALSHIVAL_VERIFY_SSL: 'false',
+      ALSHIVAL_ENABLED: 'no',
+    },
+    () => alshival.createClient({ fromEnv: true, verifySsl: true }),
+  );
+  const cfg = client.getConfig();
+  assert.equal(cfg.resourceId, 'file-res');
+  assert.equal(cfg.timeoutSeconds, 2.5);
+  assert.equal(cfg.verifySsl, true);
+  assert.equal(cfg.enabled, false);
+});
+
+test('invalid env values are reported instead of silently falling back', () => {
+  const { config, diagnostics } = withEnv(
+    {
+      ALSHIVAL_CLOUD_LEVEL: 'LOUD',
+      ALSHIVAL_RESOURCE: 'https://alshival.dev/u/someone/logs/',
+      ALSHIVAL_TIMEOUT_SECONDS: 'soon',
+    },
+    () => alshival.loadClientConfig(),
+  );
+  assert.equal(config.cloudLevel, 20);
+  assert.equal(config.resourceId, null);
+  assert.equal(config.timeoutSeconds, 5);
+  assert.deepEqual(
+    diagnostics.map(({ severity, option, source }) => [severity, option, source]),
+    [
+      ['error', 'timeoutSeconds', 'ALSHIVAL_TIMEOUT_SECONDS'],
+      ['error', 'resource', 'ALSHIVAL_RESOURCE'],
+      ['error', 'cloudLevel', 'ALSHIVAL_CLOUD_LEVEL'],
+    ],
+  );
+  assert.match(diagnostics[1].message, /resource URL has no \/resources\/<id> segment/);
+});
+
+test('an invalid ALSHIVAL_RESOURCE keeps the resource from the config file', () => {
+  const filePath = writeConfigFile({ resource: RESOURCE_URL });
+  const { config, diagnostics } = withEnv(
+    { ALSHIVAL_CONFIG: filePath, ALSHIVAL_RESOURCE: 'not a url' },
+    () => alshival.loadClientConfig(),
+  );
+  assert.equal(config.resourceId, 'file-res');
+  assert.equal(config.resourceBaseUrl, 'https://alshival.dev');
+  assert.deepEqual(
+    diagnostics.map(({ severity, option, source }) => [severity, option, source]),
+    [['error', 'resource', 'ALSHIVAL_RESOURCE']],
+  );
+});
+
+test('unreadable config file is reported', () => {
+  const filePath = writeConfigFile('{ not json');
+  const { diagnostics } = withEnv({ ALSHIVAL_CONFIG: filePath }, () => alshival.loadClientConfig());
+  assert.equal(diagnostics.length, 1);
+  assert.equal(diagnostics[0].severity, 'error');
+  assert.equal(diagnostics[0].source, filePath);
+  assert.match(diagnostics[0].message, /config file could not be read/);
+});
+
+test('configure() returns diagnostics for bad values and unknown options', () => {
+  const client = alshival.createClient({ resource: RESOURCE_URL, apiKey: 'k' });
+  assert.deepEqual(client.configure({ batchSize: 10 }), { ok: true, diagnostics: [] });
+
+  const result = client.configure({
+    resource: 'https://alshival.dev/u/file-user/logs/',
+    timeoutSecs: 3,
+    batchSize: 'many',
+  });
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.diagnostics.map(({ severity, option, source }) => [severity, option, source]),
+    [
+      ['warning', 'timeoutSecs', 'configure'],
+      ['error', 'resource', 'configure'],
+      ['warning', 'batchSize', 'configure'],
+    ],
+  );
+  assert.equal(
+    result.diagnostics[1].message,
+    'resource URL has no /resources/<id> segment: "https://alshival.dev/u/file-user/logs/"',
+  );
+  assert.equal(client.getConfig().batchSize, 10);
+  assert.equal(client.getConfig().resourceId, 'file-res');
+
+  assert.deepEqual(client.configure({ resource: null }).diagnostics.map(({ option }) => option), ['resource']);
+  assert.equal(client.getConfig().resourceId, null);
+});
+
+test('invalid rateLimit and serialize fields are reported', () => {
+  const client = alshival.createClient({ resource: RESOURCE_URL, apiKey: 'k', rateLimit: { perSecond: 5 } });
+  const result = client.configure({
+    rateLimit: { perSecond: 'abc' },
+    serialize: { maxDepth: 'x', maxKeys: 10 },
+  });
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.diagnostics.map(({ severity, option, message }) => [severity, option, message]),
+    [
+      ['warning', 'serialize', 'serialize.maxDepth must be a non-negative number, got "x"; keeping 10'],
+      ['error', 'rateLimit', 'rateLimit.perSecond must be a positive number, got "abc"; keeping the previous rate limit'],
+    ],
+  );
+  assert.equal(client.getConfig().rateLimit.perSecond, 5);
+  assert.equal(client.getConfig().serialize.maxKeys, 10);
+
+  const { diagnostics } = withEnv(
+    { ALSHIVAL_RATE_LIMIT_PER_SECOND: '-5' },
+    () => alshival.loadClientConfig(),
+  );
+  assert.deepEqual(
+    diagnostics.map(({ severity, option, source }) => [severity, option, source]),
+    [['error', 'rateLimit', 'ALSHIVAL_RATE_LIMIT_PER_SECOND']],
+  );
+});
+
+test('configure() still throws for values it cannot apply', () => {
+  const client = alshival.createClient();
+  assert.throws(() => client.configure({ dropPolicy: 'sometimes' }), /Invalid drop policy/);
+});
+
+test('getDiagnostics() reports settings that keep records from being delivered', () => {
+  const client = alshival.createClient({ resource: RESOURCE_URL, retryBaseSeconds: 60 });
+  assert.deepEqual(
+    client.getDiagnostics().map(({ option }) => option),
+    ['apiKey', 'retryBaseSeconds'],
+  );
+  client.configure({ cloudLevel: 'NONE' });
+  assert.deepEqual(client.getDiagnostics().map(({ option }) => option), ['retryBaseSeconds']);
+});
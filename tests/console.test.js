@@ -0,0 +1,166 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { Console } = require('node:console');
+const { Writable } = require('node:stream');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+function memoryConsole() {
+  const sink = () => new Writable({
+    write(chunk, encoding, callback) {
+      output.push(String(chunk));
+      callback();
+    },
+  });
+  const output = [];
+  const instance = new Console({ stdout: sink(), stderr: sink(), colorMode: false });
+  return { instance, output };
+}
+
+function entries(calls) {
+  return calls.map((call) => call.payload.logs[0]);
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+    cloudLevel: 'DEBUG',
+  });
+});
+
+test('console methods map to levels and keep printing', async () => {
+  await withTransportCapture(async (calls) => {
+    const { instance, output } = memoryConsole();
+    alshival.attach(instance, { cloudLevel: 'DEBUG' });
+
+    instance.log('hello');
+    instance.log('user %s', 'bob');
+    instance.info({ id: 1 });
+    instance.debug('details');
+    instance.warn('careful');
+    instance.error('failed', new Error('boom'));
+    await alshival.flush();
+
+    const sent = entries(calls);
+    assert.deepEqual(sent.map((entry) => [entry.level, entry.logger]), [
+      ['info', 'console'],
+      ['info', 'console'],
+      ['info', 'console'],
+      ['debug', 'console'],
+      ['warning', 'console'],
+      ['error', 'console'],
+    ]);
+    assert.equal(sent[0].message, 'hello');
+    assert.equal(sent[1].message, 'user bob');
+    assert.equal(sent[2].message, '{ id: 1 }');
+    assert.match(sent[5].extra.exception, /^Error: boom/);
+    assert.equal(output[0], 'hello\n');
+    assert.equal(output.length, 6);
+
+    alshival.detach(instance);
+  });
+});
+
+test('trace, assert, table, dir and dirxml are forwarded once', async () => {
+  await withTransportCapture(async (calls) => {
+    const { instance, output } = memoryConsole();
+    alshival.attach(instance);
+
+    instance.trace('where am I');
+    instance.assert(true, 'fine');
+    instance.assert(false, 'expected %d', 1);
+    instance.table([{ a: 1 }, { a: 2 }]);
+    instance.dir({ nested: { deep: true } });
+    instance.dirxml('markup %d', 2);
+    await alshival.flush();
+
+    const sent = entries(calls);
+    assert.deepEqual(sent.map((entry) => entry.level), ['debug', 'error', 'info', 'info', 'info']);
+    assert.equal(sent[0].message, 'where am I');
+    assert.match(sent[0].extra.stack_info, /^Trace\n\s+at .*console\.test\.js/);
+    assert.equal(sent[1].message, 'Assertion failed: expected 1');
+    assert.match(sent[2].message, /│ a │/);
+    assert.equal(sent[3].message, '{ nested: { deep: true } }');
+    assert.equal(sent[4].message, 'markup 2');
+    assert.ok(output.some((text) => text.includes('│ a │')));
+
+    alshival.detach(instance);
+  });
+});
+
+test('detach restores the original methods and stops forwarding', async () => {
+  await withTransportCapture(async (calls) => {
+    const { instance } = memoryConsole();
+    const originalLog = instance.log;
+    alshival.attach(instance);
+    assert.notEqual(instance.log, originalLog);
+
+    assert.equal(alshival.detach(instance), true);
+    assert.equal(instance.log, originalLog);
+    instance.log('after detach');
+    assert.equal(calls.length, 0);
+    assert.equal(alshival.detach(instance), false);
+  });
+});
+
+test('detach removes wrappers from prototype methods without shadowing them', async () => {
+  await withTransportCapture(async (calls) => {
+    class AppLogger {
+      info() {}
+    }
+    const logger = new AppLogger();
+    alshival.attach(logger);
+    logger.info('attached');
+    alshival.detach(logger);
+
+    assert.equal(Object.prototype.hasOwnProperty.call(logger, 'info'), false);
+    logger.info('detached');
+    assert.deepEqual(entries(calls).map((entry) => entry.message), ['attached']);
+  });
+});
+
+test('generic loggers accept log(message) as well as log(level, message)', async () => {
+  await withTransportCapture(async (calls) => {
+    const logger = { name: 'app', log() {} };
+    alshival.attach(logger);
+    logger.log('hello %s', 'there');
+    logger.log('warning', 'disk %d%%', 90);
+
+    assert.deepEqual(entries(calls).map((entry) => [entry.level, entry.message]), [
+      ['info', 'hello there'],
+      ['warning', 'disk 90%'],
+    ]);
+    alshival.detach(logger);
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+function extraOf(call) {
+  return call.payload.logs[0].extra.extra;
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('records inside runWithContext include context fields across awaits', async () => {
+  await withTransportCapture(async (calls) => {
+    await alshival.runWithContext({ request_id: 'abc', user_id: 7 }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      alshival.log.info('inside scope');
+    });
+    alshival.log.info('outside scope');
+
+    assert.deepEqual(extraOf(calls[0]), { request_id: 'abc', user_id: 7 });
+    assert.deepEqual(extraOf(calls[1]), {});
+  });
+});
+
+test('concurrent scopes stay isolated', async () => {
+  await withTransportCapture(async (calls) => {
+    const handle = (id, delay) => alshival.runWithContext({ request_id: id }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      alshival.log.info(`done ${id}`);
+    });
+    await Promise.all([handle('slow', 10), handle('fast', 1)]);
+
+    const byMessage = Object.fromEntries(calls.map((call) => [call.payload.logs[0].message, extraOf(call)]));
+    assert.deepEqual(byMessage['done slow'], { request_id: 'slow' });
+    assert.deepEqual(byMessage['done fast'], { request_id: 'fast' });
+  });
+});
+
+test('setContext adds fields to the current scope only', async () => {
+  await withTransportCapture(async (calls) => {
+    await alshival.runWithContext({ request_id: 'abc' }, async () => {
+      alshival.runWithContext({ step: 'nested' }, () => {
+        alshival.setContext({ user_id: 7 });
+        alshival.log.info('nested');
+      });
+      alshival.log.info('outer');
+      assert.deepEqual(alshival.getContext(), { request_id: 'abc' });
+    });
+
+    assert.deepEqual(extraOf(calls[0]), { request_id: 'abc', step: 'nested', user_id: 7 });
+    assert.deepEqual(extraOf(calls[1]), { request_id: 'abc' });
+  });
+});
+
+test('bound fields and call extra take precedence over context', async () => {
+  await withTransportCapture(async (calls) => {
+    alshival.runWithContext({ request_id: 'ctx', tenant: 'ctx' }, () => {
+      alshival.log.child({ tenant: 'bound' }).info('merged', { extra: { request_id: 'call' } });
+    });
+    assert.deepEqual(extraOf(calls[0]), { request_id: 'call', tenant: 'bound' });
+  });
+});
+
+test('attached external loggers include context fields', async () => {
+  await withTransportCapture(async (calls) => {
+    const external = { name: 'external', info() {} };
+    alshival.attach(external, { cloudLevel: 'INFO' });
+    alshival.runWithContext({ request_id: 'abc' }, () => {
+      external.info('from external logger');
+    });
+    assert.deepEqual(extraOf(calls[0]), { request_id: 'abc' });
+  });
+});
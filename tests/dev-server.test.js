@@ -0,0 +1,159 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const alshival = require('../src');
+const { postJson } = require('../src/delivery');
+
+const BIN = path.join(__dirname, '..', 'bin', 'alshival.js');
+
+function memoryStream() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+      return true;
+    },
+  };
+}
+
+function post(url, payload, headers = { 'x-api-key': 'dev-key' }) {
+  return postJson({ url, payload, headers, timeoutSeconds: 5, verifySsl: true });
+}
+
+test('SDK clients deliver to the dev server', async () => {
+  const output = memoryStream();
+  const server = await alshival.startDevServer({ port: 0, apiKey: 'dev-key', output, colors: false });
+  try {
+    const client = alshival.createClient({
+      apiKey: 'dev-key',
+      resource: server.resourceUrl('res-1', { team: 'ops' }),
+    });
+    client.getLogger('billing').error('charge failed', { extra: { order: 42 } });
+    client.log.info('started');
+    await client.flush();
+
+    assert.equal(client.getStats().delivered, 2);
+    assert.deepEqual(
+      server.logs.map(({ resourceId, owner, entry }) => [resourceId, owner, entry.logger, entry.message]),
+      [
+        ['res-1', 'team/ops', 'billing', 'charge failed'],
+        ['res-1', 'team/ops', 'alshival', 'started'],
+      ],
+    );
+    assert.match(output.text, /ERROR {4}res-1\/billing: charge failed order=42\n/);
+    assert.match(output.text, /INFO {5}res-1\/alshival: started\n/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('dev server rejects requests like the resource logs endpoint', async () => {
+  const output = memoryStream();
+  const server = await alshival.startDevServer({
+    port: 0,
+    apiKey: ['dev-key'],
+    resources: ['res-1', { id: 'res-2', user: 'alice' }],
+    output,
+  });
+  const logsUrl = (resourceId, owner) => `${server.resourceUrl(resourceId, owner)}logs/`;
+  const payload = { resource_id: 'res-1', logs: [{ level: 'info', message: 'hi' }] };
+  const alicePayload = { ...payload, resource_id: 'res-2' };
+  const status = async (...args) => (await post(...args)).statusCode;
+  try {
+    assert.equal(await status(logsUrl('res-1'), payload, {}), 401);
+    assert.equal(await status(logsUrl('res-1'), payload, { 'x-api-key': 'wrong' }), 403);
+    assert.equal(await status(logsUrl('unknown'), payload), 404);
+    assert.equal(await status(logsUrl('res-2', { user: 'bob' }), alicePayload), 404);
+    assert.equal(await status(logsUrl('res-2', { user: 'alice' }), alicePayload), 202);
+    assert.equal(await status(logsUrl('res-1'), { resource_id: 'res-1' }), 400);
+    assert.equal(await status(logsUrl('res-1'), { ...payload, resource_id: 'other' }), 400);
+    assert.equal(await status(`${server.url}/logs/`, payload), 404);
+    assert.equal(await status(`${server.url}/u/dev/resources/%E0%A4%A/logs/`, payload), 404);
+    assert.equal(server.logs.length, 1);
+    assert.match(output.text, /POST \/u\/dev\/resources\/unknown\/logs\/ -> 404 invalid_resource\n/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('server.logs keeps only the latest maxLogs entries', async () => {
+  const server = await alshival.startDevServer({ port: 0, print: false, maxLogs: 2 });
+  try {
+    const url = `${server.resourceUrl('res-1')}logs/`;
+    const logs = ['one', 'two', 'three'].map((message) => ({ level: 'info', message }));
+    assert.equal((await post(url, { resource_id: 'res-1', logs })).statusCode, 202);
+    assert.deepEqual(server.logs.map(({ entry }) => entry.message), ['two', 'three']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('failed posts to the dev server reach the SDK as invalid_resource', async () => {
+  const server = await alshival.startDevServer({ port: 0, resources: ['known'], print: false });
+  try {
+    const client = alshival.createClient({ apiKey: 'k', resource: server.resourceUrl('unknown') });
+    const events = [];
+    client.on('deliveryError', (event) => events.push(event));
+    client.log.error('lost');
+    await client.flush();
+    assert.deepEqual(events.map((event) => event.statusCode), [404]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('store appends received entries to a JSON-lines file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alshival-dev-server-'));
+  const store = path.join(dir, 'logs', 'received.jsonl');
+  const server = await alshival.startDevServer({ port: 0, store, print: false });
+  try {
+    const client = alshival.createClient({ apiKey: 'k', resource: server.resourceUrl('res-1'), batchSize: 2 });
+    client.log.info('one');
+    client.log.warning('two');
+    await client.flush();
+    const lines = fs.readFileSync(store, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((line) => [line.resourceId, line.owner, line.entry.message]), [
+      ['res-1', 'u/dev', 'one'],
+      ['res-1', 'u/dev', 'two'],
+    ]);
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('alshival dev-server prints received entries until interrupted', async () => {
+  const child = spawn(process.execPath, [BIN, 'dev-server', '--port', '0', '--resource', 'team/ops/res-9'], {
+    timeout: 10000,
+  });
+  let stdout = '';
+  const listening = new Promise((resolve) => {
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (stdout.includes('ALSHIVAL_API_KEY')) {
+        resolve();
+      }
+    });
+  });
+  const exited = new Promise((resolve) => {
+    child.on('close', (code) => resolve(code));
+  });
+
+  await listening;
+  const resource = /ALSHIVAL_RESOURCE=(\S+)/.exec(stdout)[1];
+  assert.match(resource, /^http:\/\/127\.0\.0\.1:\d+\/team\/ops\/resources\/res-9\/$/);
+  const client = alshival.createClient({ apiKey: 'any', resource });
+  client.log.warning('disk almost full');
+  await client.flush();
+  assert.equal(client.getStats().delivered, 1);
+
+  child.kill('SIGINT');
+  assert.equal(await exited, 0);
+  assert.match(stdout, /WARNING {2}res-9\/alshival: disk almost full\n/);
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+const { fingerprintException } = require('../src/fingerprint');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.dedupeWindowSeconds = 60;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    await alshival.flush();
+    alshival._setTransportForTests();
+  }
+}
+
+function failUpstream(id) {
+  return new Error(`upstream ${id} unavailable`);
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('fingerprint ignores messages and line numbers but not error type', () => {
+  const stack = (type, message, line) => [
+    `${type}: ${message}`,
+    `    at fetchUser (/srv/app/users.js:${line}:7)`,
+    '    at async handler (file:///srv/app/routes.js:4:3)',
+  ].join('\n');
+
+  const base = fingerprintException(stack('Error', 'user 1 missing', 10));
+  assert.equal(fingerprintException(stack('Error', 'user 2 missing', 12)), base);
+  assert.notEqual(fingerprintException(stack('TypeError', 'user 1 missing', 10)), base);
+  assert.equal(base.length, 16);
+});
+
+test('repeated exceptions are collapsed with occurrence counts', async () => {
+  await withTransportCapture(async (calls) => {
+    for (let index = 0; index < 5; index += 1) {
+      alshival.log.exception('upstream failed', failUpstream(index));
+    }
+    assert.equal(calls.length, 1);
+    const first = calls[0].payload.logs[0].extra;
+    assert.equal(typeof first.fingerprint, 'string');
+    assert.equal(first.occurrences, undefined);
+
+    await alshival.flush();
+    assert.equal(calls.length, 2);
+    const collapsed = calls[1].payload.logs[0].extra;
+    assert.equal(collapsed.fingerprint, first.fingerprint);
+    assert.equal(collapsed.occurrences, 5);
+    assert.equal(Date.parse(collapsed.first_seen) <= Date.parse(collapsed.last_seen), true);
+  });
+});
+
+test('different stacks are not collapsed', async () => {
+  await withTransportCapture(async (calls) => {
+    alshival.log.exception('first failure', new Error('a'));
+    alshival.log.exception('second failure', new TypeError('b'));
+    assert.equal(calls.length, 2);
+  });
+});
+
+test('a single occurrence sends no collapsed record', async () => {
+  await withTransportCapture(async (calls) => {
+    alshival.log.exception('one-off', failUpstream(1));
+    await alshival.flush();
+    assert.equal(calls.length, 1);
+  });
+});
+
+test('window expiry sends the collapsed record and resets', async () => {
+  alshival.configure({ dedupeWindowSeconds: 0.01 });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.exception('upstream failed', failUpstream(1));
+    alshival.log.exception('upstream failed', failUpstream(2));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(calls.length, 2);
+    assert.equal(calls[1].payload.logs[0].extra.occurrences, 2);
+
+    alshival.log.exception('upstream failed', failUpstream(3));
+    assert.equal(calls.length, 3);
+  });
+});
+
+test('dedupe can be disabled', async () => {
+  alshival.configure({ dedupe_window_seconds: 0 });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.exception('upstream failed', failUpstream(1));
+    alshival.log.exception('upstream failed', failUpstream(2));
+    assert.equal(calls.length, 2);
+  });
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+function memoryStream({ isTTY = false } = {}) {
+  const chunks = [];
+  return {
+    chunks,
+    isTTY,
+    write(chunk) {
+      chunks.push(String(chunk));
+      return true;
+    },
+  };
+}
+
+class CollectingHandler extends alshival.Handler {
+  constructor(options) {
+    super(options);
+    this.records = [];
+  }
+
+  emit(record) {
+    this.records.push(this.format(record));
+  }
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('addHandler and removeHandler run custom handlers next to cloud delivery', async () => {
+  await withTransportCapture(async (calls) => {
+    const logger = alshival.getLogger('svc', { level: 'DEBUG' });
+    const local = logger.addHandler(new CollectingHandler({
+      level: 'WARNING',
+      formatter: new alshival.Formatter({ template: '{levelname}|{name}|{message}' }),
+    }));
+    assert.equal(logger.addHandler(local), local);
+
+    logger.info('quiet');
+    logger.error('loud %d', 1);
+    assert.deepEqual(local.records, ['ERROR|svc|loud 1']);
+    assert.equal(calls.length, 2);
+
+    assert.equal(logger.removeHandler(local), true);
+    assert.equal(logger.removeHandler(local), false);
+    logger.error('after removal');
+    assert.equal(local.records.length, 1);
+
+    assert.throws(() => logger.addHandler({}), /expects a handler/);
+  });
+});
+
+test('filters can be Filter objects or functions, on any handler', async () => {
+  await withTransportCapture(async (calls) => {
+    const local = new CollectingHandler({ formatter: new alshival.Formatter({ template: '{name}' }) });
+    local.addFilter(new alshival.Filter('payments'));
+    const payments = alshival.getLogger('payments.stripe', { handlers: [local] });
+    const other = alshival.getLogger('paymentsx', { handlers: [local] });
+    payments.info('kept');
+    other.info('dropped');
+    assert.deepEqual(local.records, ['payments.stripe']);
+
+    const logger = alshival.getLogger('filtered');
+    const [cloud] = logger.handlers;
+    const noHealth = (record) => !/health/.test(record.message);
+    cloud.addFilter(noHealth);
+    logger.info('GET /health');
+    logger.info('GET /orders');
+    assert.deepEqual(calls.map((call) => call.payload.logs[0].message), ['kept', 'dropped', 'GET /orders']);
+    assert.equal(cloud.removeFilter(noHealth), true);
+  });
+});
+
+test('a throwing handler does not break logging', async () => {
+  await withTransportCapture(async (calls) => {
+    const broken = new CollectingHandler();
+    broken.emit = () => {
+      throw new Error('disk full');
+    };
+    const logger = alshival.getLogger('svc', { handlers: [broken] });
+    logger.info('still delivered');
+    assert.equal(calls.length, 1);
+  });
+});
+
+test('ConsoleHandler prints a readable line, colorized for TTYs', () => {
+  const plain = memoryStream();
+  const colored = memoryStream({ isTTY: true });
+  const logger = alshival.getLogger('svc', {
+    cloudLevel: 'NONE',
+    handlers: [
+      new alshival.ConsoleHandler({ stream: plain }),
+      new alshival.ConsoleHandler({ stream: colored, colors: true }),
+    ],
+  });
+  logger.warning('disk at %d%%', 91, { extra: { host: 'db-1', tags: ['a b'] } });
+  logger.exception('failed', new Error('boom'));
+
+  assert.match(plain.chunks[0], /^\d{2}:\d{2}:\d{2}\.\d{3} WARNING {2}svc: disk at 91% host=db-1 tags=\[ 'a b' \]\n$/);
+  assert.match(plain.chunks[1], /^\S+ ERROR {4}svc: failed\nError: boom\n\s+at /);
+  assert.match(colored.chunks[0], /\u001b\[33mWARNING/);
+});
+
+test('JsonLinesHandler writes one JSON object per record', () => {
+  const stream = memoryStream();
+  const logger = alshival.getLogger('svc', {
+    cloudLevel: 'NONE',
+    handlers: [new alshival.JsonLinesHandler({ stream })],
+  });
+  const cyclic = { name: 'loop' };
+  cyclic.self = cyclic;
+  logger.child({ request_id: 'abc' }).info('handled', { extra: { cyclic, count: 10n } });
+
+  assert.equal(stream.chunks.length, 1);
+  assert.ok(stream.chunks[0].endsWith('}\n'));
+  const line = JSON.parse(stream.chunks[0]);
+  assert.equal(line.level, 'info');
+  assert.equal(line.logger, 'svc');
+  assert.equal(line.message, 'handled');
+  assert.equal(line.request_id, 'abc');
+  assert.equal(line.count, '10');
+  assert.equal(line.cyclic.self, '[Circular]');
+  assert.match(line.ts, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('local sinks redact like the cloud handler', () => {
+  const json = memoryStream();
+  const pretty = memoryStream();
+  const raw = memoryStream();
+  const logger = alshival.getLogger('auth', {
+    cloudLevel: 'NONE',
+    handlers: [
+      new alshival.JsonLinesHandler({ stream: json }),
+      new alshival.ConsoleHandler({ stream: pretty }),
+      new alshival.JsonLinesHandler({ stream: raw, redact: false }),
+    ],
+  });
+  logger.info('auth with Bearer abcdefghijklmnop', { extra: { password: 'hunter2', user: { api_key: 'k-1' } } });
+
+  const line = JSON.parse(json.chunks[0]);
+  assert.equal(line.message, 'auth with Bearer [REDACTED]');
+  assert.equal(line.password, '[REDACTED]');
+  assert.deepEqual(line.user, { api_key: '[REDACTED]' });
+  assert.match(pretty.chunks[0], /auth with Bearer \[REDACTED\] password=\[REDACTED\] user=\{ api_key: '\[REDACTED\]' \}\n$/);
+  assert.doesNotMatch(pretty.chunks[0], /hunter2|abcdefghijklmnop/);
+  assert.equal(JSON.parse(raw.chunks[0]).password, 'hunter2');
+});
+
+test('local sinks on a client logger use that client\'s redaction', () => {
+  const tenantOut = memoryStream();
+  const hostOut = memoryStream();
+  const tenant = alshival.createClient({ redact: { keys: ['tenant_ref'], replacement: '<hidden>' } });
+  tenant.getLogger('billing', {
+    cloudLevel: 'NONE',
+    handlers: [new alshival.JsonLinesHandler({ stream: tenantOut })],
+  }).info('charged', { extra: { tenant_ref: 't-1', password: 'hunter2' } });
+  alshival.getLogger('billing', {
+    cloudLevel: 'NONE',
+    handlers: [new alshival.JsonLinesHandler({ stream: hostOut })],
+  }).info('charged', { extra: { tenant_ref: 't-1', password: 'hunter2' } });
+
+  const tenantLine = JSON.parse(tenantOut.chunks[0]);
+  assert.equal(tenantLine.tenant_ref, '<hidden>');
+  assert.equal(tenantLine.password, '<hidden>');
+  const hostLine = JSON.parse(hostOut.chunks[0]);
+  assert.equal(hostLine.tenant_ref, 't-1');
+  assert.equal(hostLine.password, '[REDACTED]');
+});
+
+test('RotatingFileHandler rotates by size and keeps backupCount files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alshival-rotate-'));
+  const filename = path.join(dir, 'logs', 'app.log');
+  const handler = new alshival.RotatingFileHandler({
+    filename,
+    maxBytes: 40,
+    backupCount: 2,
+    formatter: new alshival.Formatter({ template: '{message}' }),
+  });
+  const logger = alshival.getLogger('svc', { cloudLevel: 'NONE', handlers: [handler] });
+  try {
+    for (let index = 1; index <= 8; index += 1) {
+      logger.info(`line ${index} ${'x'.repeat(10)}`);
+    }
+    handler.close();
+
+    assert.deepEqual(fs.readdirSync(path.dirname(filename)).sort(), ['app.log', 'app.log.1', 'app.log.2']);
+    assert.equal(fs.readFileSync(filename, 'utf8'), `line 7 ${'x'.repeat(10)}\nline 8 ${'x'.repeat(10)}\n`);
+    assert.match(fs.readFileSync(`${filename}.1`, 'utf8'), /^line 5 /);
+    assert.match(fs.readFileSync(`${filename}.2`, 'utf8'), /^line 3 /);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('RotatingFileHandler rotates on its time interval', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alshival-rotate-'));
+  const filename = path.join(dir, 'app.log');
+  let now = Date.now();
+  const handler = new alshival.RotatingFileHandler({
+    filename,
+    intervalSeconds: 60,
+    now: () => now,
+    formatter: new alshival.Formatter({ template: '{message}' }),
+  });
+  const logger = alshival.getLogger('svc', { cloudLevel: 'NONE', handlers: [handler] });
+  try {
+    logger.info('first');
+    now += 30 * 1000;
+    logger.info('second');
+    now += 31 * 1000;
+    logger.info('third');
+    handler.close();
+
+    assert.equal(fs.readFileSync(`${filename}.1`, 'utf8'), 'first\nsecond\n');
+    assert.equal(fs.readFileSync(filename, 'utf8'), 'third\n');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
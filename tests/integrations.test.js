@@ -0,0 +1,202 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const alshival = require('../src');
+const { alshivalStream } = require('../src/bunyan');
+const alshivalPinoTransport = require('../src/pino');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+function writeAndEnd(stream, chunks) {
+  return new Promise((resolve, reject) => {
+    stream.on('error', reject);
+    for (const chunk of chunks) {
+      stream.write(chunk);
+    }
+    stream.end(resolve);
+  });
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('pino transport maps levels, bindings and errors', async () => {
+  await withTransportCapture(async (calls) => {
+    const time = Date.UTC(2024, 0, 2, 3, 4, 5);
+    const lines = [
+      { level: 20, time, pid: 1, hostname: 'h', name: 'api', msg: 'too quiet' },
+      { level: 30, time, pid: 1, hostname: 'h', name: 'api', request_id: 'abc', msg: 'handled' },
+      {
+        level: 50,
+        time,
+        name: 'api',
+        err: { type: 'Error', message: 'boom', stack: 'Error: boom\n    at x (y.js:1:1)', code: 'E_BOOM' },
+        msg: 'failed',
+      },
+      { level: 60, time, msg: 'down', trace_id: 'a'.repeat(32), span_id: 'b'.repeat(16), trace_flags: '01' },
+    ];
+    const text = lines.map((line) => `${JSON.stringify(line)}\n`).join('');
+    // Chunks may split lines anywhere.
+    await writeAndEnd(alshivalPinoTransport(), [text.slice(0, 50), text.slice(50), 'not json\n']);
+
+    const entries = calls.map((call) => call.payload.logs[0]);
+    assert.deepEqual(entries.map((entry) => entry.level), ['info', 'error', 'critical']);
+    assert.equal(entries[0].message, 'handled');
+    assert.equal(entries[0].logger, 'api');
+    assert.equal(entries[0].ts, '2024-01-02T03:04:05.000Z');
+    assert.deepEqual(entries[0].extra.extra, { request_id: 'abc' });
+    assert.equal(entries[1].extra.exception, 'Error: boom\n    at x (y.js:1:1)');
+    assert.deepEqual(entries[1].extra.extra, { err: { type: 'Error', message: 'boom', code: 'E_BOOM' } });
+    assert.equal(entries[2].extra.trace_id, 'a'.repeat(32));
+    assert.deepEqual(entries[2].extra.extra, {});
+  });
+});
+
+test('pino transport honours cloudLevel and custom level labels', async () => {
+  await withTransportCapture(async (calls) => {
+    const stream = alshivalPinoTransport({ cloudLevel: 'ERROR', levels: { audit: 'ERROR' } });
+    await writeAndEnd(stream, [
+      `${JSON.stringify({ level: 40, msg: 'warned' })}\n`,
+      `${JSON.stringify({ level: 'audit', msg: 'audited' })}\n`,
+    ]);
+    assert.deepEqual(calls.map((call) => call.payload.logs[0].message), ['audited']);
+  });
+});
+
+test('bunyan stream forwards raw records with src call sites', async () => {
+  await withTransportCapture(async (calls) => {
+    const definition = alshivalStream({ level: 'info' });
+    assert.equal(definition.type, 'raw');
+    assert.equal(definition.level, 'info');
+
+    definition.stream.write({
+      v: 0,
+      level: 40,
+      name: 'worker',
+      hostname: 'h',
+      pid: 1,
+      time: new Date('2024-01-02T03:04:05Z'),
+      src: { file: '/app/jobs.js', line: 12, func: 'runJob' },
+      job: 'sync',
+      msg: 'slow job',
+    });
+    definition.stream.write(`${JSON.stringify({ v: 0, level: 30, name: 'worker', msg: 'from json' })}\n`);
+
+    const [first, second] = calls.map((call) => call.payload.logs[0]);
+    assert.equal(first.level, 'warning');
+    assert.equal(first.logger, 'worker');
+    assert.equal(first.ts, '2024-01-02T03:04:05.000Z');
+    assert.equal(first.extra.path, '/app/jobs.js');
+    assert.equal(first.extra.line, 12);
+    assert.equal(first.extra.function, 'runJob');
+    assert.deepEqual(first.extra.extra, { job: 'sync' });
+    assert.equal(second.message, 'from json');
+  });
+});
+
+test('integration records pick up async context fields', async () => {
+  await withTransportCapture(async (calls) => {
+    const definition = alshivalStream();
+    alshival.runWithContext({ request_id: 'ctx' }, () => {
+      definition.stream.write({ level: 30, name: 'worker', msg: 'scoped', job: 'sync' });
+    });
+    assert.deepEqual(calls[0].payload.logs[0].extra.extra, { request_id: 'ctx', job: 'sync' });
+  });
+});
+
+test('winston transport maps npm and syslog levels', () => {
+  const modulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alshival-winston-'));
+  const transportDir = path.join(modulesDir, 'winston-transport');
+  fs.mkdirSync(transportDir, { recursive: true });
+  // Minimal stand-in for winston's base transport class.
+  fs.writeFileSync(path.join(transportDir, 'index.js'), `
+    const { EventEmitter } = require('node:events');
+    module.exports = class Transport extends EventEmitter {
+      constructor(options = {}) { super(); this.level = options.level; }
+    };
+  `);
+
+  const sdkPath = JSON.stringify(path.join(__dirname, '..', 'src'));
+  const script = `
+    const alshival = require(${sdkPath});
+    const { AlshivalTransport } = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'winston'))});
+    const logs = [];
+    alshival._setTransportForTests((request) => {
+      logs.push(request.payload.logs[0]);
+      return Promise.resolve({ statusCode: 200 });
+    });
+    alshival.configure({ apiKey: 'k', resource: 'https://alshival.dev/u/u/resources/r/' });
+    const transport = new AlshivalTransport({ name: 'billing' });
+    const LEVEL = Symbol.for('level');
+    const SPLAT = Symbol.for('splat');
+    const infos = [
+      { level: 'silly', message: 'dropped', [LEVEL]: 'silly' },
+      { level: '\\u001b[32mhttp\\u001b[39m', message: 'GET /', [LEVEL]: 'http', service: 'api' },
+      { level: 'crit', message: 'disk', [LEVEL]: 'crit', timestamp: '2024-01-02T03:04:05.000Z' },
+      { level: 'error', message: 'charge failed', [LEVEL]: 'error', stack: 'Error: charge failed\\n    at z' },
+      { level: 'warn', message: 'retrying', [LEVEL]: 'warn', [SPLAT]: [new Error('timeout')] },
+    ];
+    let pending = infos.length;
+    for (const info of infos) {
+      transport.log(info, () => {
+        pending -= 1;
+        if (pending === 0) {
+          process.stdout.write(JSON.stringify(logs));
+        }
+      });
+    }
+  `;
+  try {
+    const result = spawnSync(process.execPath, ['-e', script], {
+      encoding: 'utf8',
+      timeout: 10000,
+      env: { ...process.env, NODE_PATH: modulesDir },
+    });
+    assert.equal(result.status, 0, result.stderr);
+    const logs = JSON.parse(result.stdout);
+    assert.deepEqual(logs.map((entry) => entry.level), ['info', 'critical', 'error', 'warning']);
+    assert.equal(logs[0].logger, 'billing');
+    assert.deepEqual(logs[0].extra.extra, { service: 'api' });
+    assert.equal(logs[1].ts, '2024-01-02T03:04:05.000Z');
+    assert.equal(logs[2].extra.exception, 'Error: charge failed\n    at z');
+    assert.match(logs[3].extra.exception, /^Error: timeout/);
+  } finally {
+    fs.rmSync(modulesDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.batchMaxBytes = 256 * 1024;
+  cfg.batchIntervalSeconds = 1;
+  cfg.flushOnExit = false;
+  cfg.flushTimeoutSeconds = 5;
+}
+
+function runScript(source) {
+  const sdkPath = JSON.stringify(path.join(__dirname, '..', 'src'));
+  const prelude = `
+    const alshival = require(${sdkPath});
+    alshival._setTransportForTests((request) => new Promise((resolve) => {
+      setTimeout(() => {
+        process.stdout.write(JSON.stringify(request.payload.logs.map((entry) => entry.message)) + '\\n');
+        resolve({ statusCode: 200 });
+      }, 20);
+    }));
+    alshival.configure({
+      apiKey: 'k',
+      resource: 'https://alshival.dev/u/u/resources/r/',
+      batchSize: 10,
+      batchIntervalSeconds: 60,
+      flushOnExit: true,
+    });
+  `;
+  return spawnSync(process.execPath, ['-e', `${prelude}\n${source}`], {
+    encoding: 'utf8',
+    timeout: 10000,
+  });
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('flush resolves after in-flight posts are delivered', async () => {
+  const delivered = [];
+  alshival._setTransportForTests((request) => new Promise((resolve) => {
+    setTimeout(() => {
+      delivered.push(request);
+      resolve({ statusCode: 200 });
+    }, 20);
+  }));
+  try {
+    alshival.log.info('slow post');
+    assert.equal(delivered.length, 0);
+    assert.equal(await alshival.flush(), true);
+    assert.equal(delivered.length, 1);
+  } finally {
+    alshival._setTransportForTests();
+  }
+});
+
+test('flush sends queued batches', async () => {
+  const calls = [];
+  alshival.configure({ batchSize: 10, batchIntervalSeconds: 60 });
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    alshival.log.info('queued one');
+    alshival.log.info('queued two');
+    assert.equal(calls.length, 0);
+    assert.equal(await alshival.flush(), true);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].payload.logs.length, 2);
+  } finally {
+    alshival._setTransportForTests();
+  }
+});
+
+test('flush resolves false when the timeout elapses', async () => {
+  let release;
+  alshival._setTransportForTests(() => new Promise((resolve) => {
+    release = resolve;
+  }));
+  try {
+    alshival.log.info('stuck post');
+    assert.equal(await alshival.flush({ timeoutSeconds: 0.01 }), false);
+  } finally {
+    release({ statusCode: 200 });
+    alshival._setTransportForTests();
+  }
+});
+
+test('flushOnExit installs and removes process hooks', () => {
+  const before = process.listenerCount('SIGTERM');
+  alshival.configure({ flushOnExit: true });
+  assert.equal(process.listenerCount('SIGTERM'), before + 1);
+  assert.equal(process.listenerCount('beforeExit') > 0, true);
+
+  alshival.configure({ flush_on_exit: false });
+  assert.equal(process.listenerCount('SIGTERM'), before);
+});
+
+test('buffered records are drained when the process exits naturally', () => {
+  const result = runScript("alshival.log.info('before exit');");
+  assert.equal(result.status, 0);
+  assert.equal(result.stdout.trim(), '["before exit"]');
+});
+
+test('buffered records are drained on SIGTERM and the signal still terminates', () => {
+  const result = runScript(`
+    alshival.log.info('before sigterm');
+    setInterval(() => {}, 1000);
+    process.kill(process.pid, 'SIGTERM');
+  `);
+  assert.equal(result.signal, 'SIGTERM');
+  assert.equal(result.stdout.trim(), '["before sigterm"]');
+});
+
+test('shutdown drains and stops further delivery', async () => {
+  const script = `
+    alshival.log.info('last words');
+    alshival.shutdown().then((drained) => {
+      alshival.log.info('after shutdown');
+      process.stdout.write(String(drained) + '\\n');
+    });
+  `;
+  const result = runScript(script);
+  assert.equal(result.status, 0);
+  assert.deepEqual(result.stdout.trim().split('\n'), ['["last words"]', 'true']);
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.dedupeWindowSeconds = 0;
+}
+
+async function withTransportCapture(fn) {
+  const entries = [];
+  alshival._setTransportForTests((request) => {
+    entries.push(...request.payload.logs);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(entries);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+async function withServer(listener, fn) {
+  const server = http.createServer(listener);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+async function request(url, headers = {}) {
+  const resp = await fetch(url, { headers });
+  await resp.text();
+  await new Promise((resolve) => setImmediate(resolve));
+  return resp;
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('http wrapper logs method, status, duration and request id', async () => {
+  await withTransportCapture(async (entries) => {
+    const listener = alshival.middleware.http((req, res) => {
+      req.log.info('handling');
+      res.statusCode = 201;
+      res.end('ok');
+    });
+
+    await withServer(listener, async (url) => {
+      await request(`${url}/orders?page=2`, { 'x-request-id': 'req-1' });
+    });
+
+    assert.equal(entries[0].message, 'handling');
+    assert.equal(entries[0].extra.extra.request_id, 'req-1');
+    const done = entries[1];
+    assert.match(done.message, /^GET \/orders 201 [\d.]+ms$/);
+    assert.equal(done.level, 'info');
+    assert.equal(done.extra.extra.request_id, 'req-1');
+    assert.equal(done.extra.extra.path, '/orders');
+    assert.equal(done.extra.extra.status, 201);
+    assert.equal(typeof done.extra.extra.duration_ms, 'number');
+  });
+});
+
+test('http wrapper logs handler errors and responds 500', async () => {
+  await withTransportCapture(async (entries) => {
+    const listener = alshival.middleware.http(async () => {
+      throw new Error('handler exploded');
+    });
+
+    await withServer(listener, async (url) => {
+      const resp = await request(`${url}/boom`);
+      assert.equal(resp.status, 500);
+    });
+
+    assert.equal(entries[0].level, 'error');
+    assert.equal(entries[0].message, 'GET /boom failed');
+    assert.match(entries[0].extra.exception, /handler exploded/);
+    assert.equal(entries[1].level, 'error');
+    assert.equal(entries[1].extra.extra.status, 500);
+    assert.equal(typeof entries[1].extra.extra.request_id, 'string');
+  });
+});
+
+test('express middleware binds context and uses the matched route', async () => {
+  await withTransportCapture(async (entries) => {
+    const middleware = alshival.middleware.express();
+    const errorHandler = alshival.middleware.expressErrorHandler();
+    const listener = (req, res) => {
+      middleware(req, res, () => {
+        req.baseUrl = '/api';
+        req.route = { path: '/users/:id' };
+        setTimeout(() => {
+          alshival.log.info('context survives async hops');
+          errorHandler(new Error('not found'), req, res, () => {
+            res.statusCode = 404;
+            res.end();
+          });
+        }, 1);
+      });
+    };
+
+    await withServer(listener, async (url) => {
+      await request(`${url}/api/users/7`, { 'x-request-id': 'req-2' });
+    });
+
+    assert.equal(entries[0].extra.extra.request_id, 'req-2');
+    assert.equal(entries[1].message, 'GET /api/users/:id failed');
+    assert.match(entries[2].message, /^GET \/api\/users\/:id 404 /);
+    assert.equal(entries[2].level, 'warning');
+    assert.equal(entries[2].extra.extra.route, '/api/users/:id');
+  });
+});
+
+test('koa middleware logs thrown errors and rethrows', async () => {
+  await withTransportCapture(async (entries) => {
+    const middleware = alshival.middleware.koa();
+    const ctx = {
+      req: { method: 'POST', url: '/items', headers: {} },
+      status: 404,
+      _matchedRoute: '/items',
+    };
+    const err = new Error('invalid item');
+    err.status = 422;
+
+    await assert.rejects(middleware(ctx, async () => {
+      ctx.log.info('validating');
+      throw err;
+    }), /invalid item/);
+
+    assert.equal(entries[0].extra.extra.request_id, ctx.log.bindings().request_id);
+    assert.equal(entries[1].message, 'POST /items failed');
+    assert.match(entries[2].message, /^POST \/items 422 /);
+    assert.equal(entries[2].level, 'warning');
+  });
+});
+
+test('fastify plugin registers request, error and response hooks', async () => {
+  await withTransportCapture(async (entries) => {
+    const hooks = {};
+    const instance = {
+      addHook: (name, fn) => {
+        hooks[name] = fn;
+      },
+    };
+    const plugin = alshival.middleware.fastify();
+    assert.equal(plugin[Symbol.for('skip-override')], true);
+    plugin(instance, {}, () => {});
+
+    const request = {
+      raw: { method: 'GET', url: '/health', headers: { 'x-request-id': 'req-3' } },
+      routeOptions: { url: '/health' },
+    };
+    const reply = { statusCode: 503 };
+    hooks.onRequest(request, reply, () => {
+      alshival.log.info('inside fastify request');
+    });
+    hooks.onError(request, reply, new Error('db down'), () => {});
+    hooks.onResponse(request, reply, () => {});
+
+    assert.equal(request.alshivalLog.bindings().request_id, 'req-3');
+    assert.equal(entries[0].extra.extra.request_id, 'req-3');
+    assert.equal(entries[1].message, 'GET /health failed');
+    assert.match(entries[2].message, /^GET \/health 503 /);
+    assert.equal(entries[2].level, 'error');
+  });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const test = require('node:test');
+
+function runScript(source, args = []) {
+  const sdkPath = JSON.stringify(path.join(__dirname, '..', 'src'));
+  const prelude = `
+    const alshival = require(${sdkPath});
+    alshival._setTransportForTests((request) => new Promise((resolve) => {
+      setTimeout(() => {
+        for (const entry of request.payload.logs) {
+          process.stdout.write(JSON.stringify(entry) + '\\n');
+        }
+        resolve({ statusCode: 200 });
+      }, 20);
+    }));
+    alshival.configure({
+      apiKey: 'k',
+      resource: 'https://alshival.dev/u/u/resources/r/',
+      cloudLevel: 'INFO',
+    });
+  `;
+  const result = spawnSync(process.execPath, [...args, '-e', `${prelude}\n${source}`], {
+    encoding: 'utf8',
+    timeout: 10000,
+  });
+  const entries = result.stdout.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  return { ...result, entries };
+}
+
+test('uncaught exceptions are delivered before the process exits with code 1', () => {
+  const result = runScript(`
+    alshival.captureProcessErrors();
+    setTimeout(() => {
+      const err = new Error('worker crashed', { cause: new Error('db down') });
+      err.code = 'E_CRASH';
+      throw err;
+    }, 1);
+  `);
+
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Error: worker crashed/);
+  assert.equal(result.entries.length, 1);
+  const entry = result.entries[0];
+  assert.equal(entry.level, 'critical');
+  assert.equal(entry.message, 'uncaught exception: worker crashed');
+  assert.match(entry.extra.exception, /worker crashed/);
+  assert.equal(entry.extra.extra.origin, 'uncaughtException');
+  assert.equal(entry.extra.extra.error.code, 'E_CRASH');
+  assert.equal(entry.extra.extra.error.cause.message, 'db down');
+});
+
+test('unhandled rejections are logged and keep the default crash', () => {
+  const result = runScript(`
+    alshival.captureProcessErrors({ level: 'ALERT' });
+    Promise.reject(new Error('forgot to catch'));
+  `);
+
+  assert.equal(result.status, 1);
+  assert.equal(result.entries[0].level, 'alert');
+  assert.equal(result.entries[0].message, 'unhandled rejection: forgot to catch');
+  assert.equal(result.entries[0].extra.extra.origin, 'unhandledRejection');
+});
+
+test('unhandled rejections only warn under --unhandled-rejections=warn', () => {
+  const result = runScript(`
+    alshival.captureProcessErrors();
+    Promise.reject('plain reason');
+    setTimeout(() => alshival.flush(), 10);
+  `, ['--unhandled-rejections=warn']);
+
+  assert.equal(result.status, 0);
+  assert.equal(result.entries[0].message, "unhandled rejection: 'plain reason'");
+});
+
+test('exitOnUncaught false keeps the process running', () => {
+  const result = runScript(`
+    alshival.captureProcessErrors({ exitOnUncaught: false });
+    setTimeout(() => { throw new Error('survivable'); }, 1);
+    setTimeout(() => {
+      alshival.log.info('still running');
+      alshival.flush();
+    }, 20);
+  `);
+
+  assert.equal(result.status, 0);
+  assert.deepEqual(result.entries.map((entry) => entry.message), ['uncaught exception: survivable', 'still running']);
+});
+
+test('process warnings are forwarded', () => {
+  const result = runScript(`
+    alshival.captureProcessErrors();
+    process.emitWarning('cache is deprecated', { type: 'DeprecationWarning', code: 'DEP_CACHE' });
+    setTimeout(() => alshival.flush(), 10);
+  `);
+
+  assert.equal(result.status, 0);
+  assert.match(result.stderr, /cache is deprecated/);
+  const entry = result.entries[0];
+  assert.equal(entry.level, 'warning');
+  assert.equal(entry.message, 'process warning: DeprecationWarning: cache is deprecated');
+  assert.equal(entry.extra.extra.code, 'DEP_CACHE');
+});
+
+test('uninstall removes the handlers', () => {
+  const alshival = require('../src');
+  const before = process.listenerCount('uncaughtException');
+  const uninstall = alshival.captureProcessErrors();
+  assert.equal(process.listenerCount('uncaughtException'), before + 1);
+  uninstall();
+  assert.equal(process.listenerCount('uncaughtException'), before);
+});
+
+test('each client keeps its own handlers and the process exits once both have flushed', () => {
+  const result = runScript(`
+    const tenant = alshival.createClient({
+      apiKey: 'tenant-key',
+      resource: 'https://alshival.dev/u/t/resources/tenant/',
+      transport: (request) => new Promise((resolve) => {
+        setTimeout(() => {
+          process.stdout.write(JSON.stringify({ ...request.payload.logs[0], logger: 'tenant' }) + '\\n');
+          resolve({ statusCode: 200 });
+        }, 40);
+      }),
+    });
+    alshival.captureProcessErrors();
+    tenant.captureProcessErrors()();
+    tenant.captureProcessErrors();
+    setTimeout(() => {
+      throw new Error('worker crashed');
+    }, 1);
+  `);
+
+  assert.equal(result.status, 1);
+  assert.equal(result.stderr.match(/Error: worker crashed/g).length, 1);
+  assert.deepEqual(result.entries.map((entry) => [entry.logger, entry.message]).sort(), [
+    ['alshival', 'uncaught exception: worker crashed'],
+    ['tenant', 'uncaught exception: worker crashed'],
+  ]);
+});
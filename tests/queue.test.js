@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 10;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.maxRetries = 0;
+  cfg.maxQueueSize = 10000;
+  cfg.dropPolicy = 'drop-oldest';
+  cfg.maxConcurrentRequests = 4;
+}
+
+async function withHeldTransport(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => new Promise((resolve) => {
+    calls.push({ ...request, release: () => resolve({ statusCode: 200 }) });
+  }));
+  try {
+    await fn(calls);
+  } finally {
+    for (const call of calls) {
+      call.release();
+    }
+    await alshival.flush();
+    alshival._setTransportForTests();
+  }
+}
+
+async function releaseAll(calls) {
+  let released = 0;
+  while (released < calls.length) {
+    calls[released].release();
+    released += 1;
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+function messages(calls) {
+  return calls.flatMap((call) => call.payload.logs.map((entry) => entry.message));
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('concurrent requests are capped', async () => {
+  alshival.configure({ maxConcurrentRequests: 2 });
+
+  await withHeldTransport(async (calls) => {
+    alshival.log.info('a');
+    alshival.log.info('b');
+    alshival.log.info('c');
+    assert.equal(calls.length, 2);
+
+    await releaseAll(calls);
+    assert.deepEqual(messages(calls), ['a', 'b', 'c']);
+  });
+});
+
+test('drop-newest discards incoming records and reports the count', async () => {
+  alshival.configure({ maxConcurrentRequests: 1, maxQueueSize: 2, dropPolicy: 'drop-newest' });
+
+  await withHeldTransport(async (calls) => {
+    for (const message of ['a', 'b', 'c', 'd', 'e']) {
+      alshival.log.info(message);
+    }
+    await releaseAll(calls);
+
+    const sent = messages(calls);
+    assert.deepEqual(sent.slice(0, 3), ['a', 'b', 'c']);
+    assert.match(sent[3], /dropped 2 log record\(s\)/);
+    assert.equal(calls[3].payload.logs[0].level, 'warning');
+    assert.equal(calls[3].payload.logs[0].extra.extra.dropped_records, 2);
+  });
+});
+
+test('drop-oldest keeps the most recent records', async () => {
+  alshival.configure({ maxConcurrentRequests: 1, maxQueueSize: 2, drop_policy: 'DROP_OLDEST' });
+
+  await withHeldTransport(async (calls) => {
+    for (const message of ['a', 'b', 'c', 'd', 'e']) {
+      alshival.log.info(message);
+    }
+    await releaseAll(calls);
+
+    const sent = messages(calls);
+    assert.deepEqual(sent.slice(0, 3), ['a', 'd', 'e']);
+    assert.match(sent[3], /dropped 2 log record\(s\)/);
+  });
+});
+
+test('drop-lowest-level keeps alerts and errors', async () => {
+  alshival.configure({ maxConcurrentRequests: 1, maxQueueSize: 2, dropPolicy: 'drop-lowest-level' });
+
+  await withHeldTransport(async (calls) => {
+    alshival.log.info('in flight');
+    alshival.log.debug('debug');
+    alshival.log.error('error');
+    alshival.log.alert('alert');
+    alshival.log.info('info');
+    await releaseAll(calls);
+
+    const sent = messages(calls);
+    assert.deepEqual(sent.slice(0, 3), ['in flight', 'error', 'alert']);
+    assert.match(sent[3], /dropped 2 log record\(s\)/);
+  });
+});
+
+test('batched records count toward the queue bound', async () => {
+  alshival.configure({ batchSize: 10, batchIntervalSeconds: 60, maxQueueSize: 3, dropPolicy: 'drop-newest' });
+
+  await withHeldTransport(async (calls) => {
+    for (const message of ['a', 'b', 'c', 'd']) {
+      alshival.log.info(message);
+    }
+    assert.equal(calls.length, 0);
+    const flushed = alshival.flush();
+    await releaseAll(calls);
+    await flushed;
+    await releaseAll(calls);
+
+    assert.deepEqual(calls[0].payload.logs.map((entry) => entry.message), ['a', 'b', 'c']);
+    assert.match(messages(calls).at(-1), /dropped 1 log record\(s\)/);
+  });
+});
+
+test('invalid drop policy is rejected', () => {
+  assert.throws(() => alshival.configure({ dropPolicy: 'drop-random' }), /Invalid drop policy/);
+});
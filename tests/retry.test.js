@@ -0,0 +1,132 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+const { backoffSeconds, parseRetryAfter } = require('../src/delivery');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.maxRetries = 3;
+  cfg.retryBaseSeconds = 0.001;
+  cfg.retryMaxSeconds = 1;
+}
+
+async function withScriptedTransport(responses, fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) {
+      return Promise.reject(next);
+    }
+    return Promise.resolve(next);
+  });
+  try {
+    await fn(calls);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+function networkError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('5xx responses are retried until success', async () => {
+  await withScriptedTransport([{ statusCode: 503 }, { statusCode: 502 }, { statusCode: 200 }], async (calls) => {
+    alshival.log.info('eventually delivered');
+    await alshival.flush();
+    assert.equal(calls.length, 3);
+  });
+});
+
+test('connection resets and timeouts are retried', async () => {
+  await withScriptedTransport([networkError('ECONNRESET'), networkError('ETIMEDOUT'), { statusCode: 200 }], async (calls) => {
+    alshival.log.info('flaky network');
+    await alshival.flush();
+    assert.equal(calls.length, 3);
+  });
+});
+
+test('retries stop after maxRetries', async () => {
+  alshival.configure({ maxRetries: 2 });
+  await withScriptedTransport([{ statusCode: 500 }], async (calls) => {
+    alshival.log.info('never delivered');
+    await alshival.flush();
+    assert.equal(calls.length, 3);
+  });
+});
+
+test('4xx responses are never retried', async () => {
+  await withScriptedTransport([{ statusCode: 404 }], async (calls) => {
+    alshival.log.info('invalid resource');
+    await alshival.flush();
+    assert.equal(calls.length, 1);
+  });
+});
+
+test('errors without a transient code are not retried', async () => {
+  await withScriptedTransport([new Error('boom')], async (calls) => {
+    alshival.log.info('unexpected failure');
+    await alshival.flush();
+    assert.equal(calls.length, 1);
+  });
+});
+
+test('429 honours Retry-After', async () => {
+  const responses = [{ statusCode: 429, headers: { 'Retry-After': '0.05' } }, { statusCode: 200 }];
+  await withScriptedTransport(responses, async (calls) => {
+    const started = Date.now();
+    alshival.log.info('rate limited');
+    await alshival.flush();
+    assert.equal(calls.length, 2);
+    assert.equal(Date.now() - started >= 45, true);
+  });
+});
+
+test('Retry-After beyond retryMaxSeconds gives up', async () => {
+  await withScriptedTransport([{ statusCode: 429, headers: { 'retry-after': '120' } }], async (calls) => {
+    alshival.log.info('rate limited for too long');
+    await alshival.flush();
+    assert.equal(calls.length, 1);
+  });
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('7', now), 7);
+  assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now), 30);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('backoff grows exponentially within jitter bounds', () => {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const ceiling = Math.min(10, 0.5 * (2 ** attempt));
+    const delay = backoffSeconds(attempt, 0.5, 10);
+    assert.equal(delay >= ceiling / 2 && delay <= ceiling, true);
+  }
+  assert.equal(backoffSeconds(20, 0.5, 10) <= 10, true);
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+const SERVICE_URL = 'https://alshival.dev/u/u/resources/service/logs/';
+const INCIDENTS_URL = 'https://alshival.dev/team/ops/resources/incidents/logs/';
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.routes = [];
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+function destinations(calls) {
+  return calls.map((call) => [call.url, call.payload.logs[0].message]);
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/service/',
+  });
+});
+
+test.after(() => {
+  resetSdkConfig();
+});
+
+test('matching records go to the routed resource, the rest to the default', async () => {
+  alshival.configure({
+    routes: [
+      { logger: 'payments.*', minLevel: 'ERROR', resource: 'https://alshival.dev/team/ops/resources/incidents/' },
+    ],
+  });
+
+  await withTransportCapture(async (calls) => {
+    alshival.getLogger('payments.stripe').error('charge failed');
+    alshival.getLogger('payments.stripe').warning('slow charge');
+    alshival.getLogger('orders').error('order failed');
+    await alshival.flush();
+
+    assert.deepEqual(destinations(calls), [
+      [INCIDENTS_URL, 'charge failed'],
+      [SERVICE_URL, 'slow charge'],
+      [SERVICE_URL, 'order failed'],
+    ]);
+    assert.equal(calls[0].payload.resource_id, 'incidents');
+  });
+});
+
+test('several matching rules fan out, and includeDefault keeps the default resource', async () => {
+  alshival.configure({
+    routes: [
+      { minLevel: 'CRITICAL', resource: 'https://alshival.dev/team/ops/resources/incidents/', includeDefault: true },
+      { extra: { tenant: ['acme', 'globex'] }, resources: ['tenant-audit'], apiKey: 'audit-key' },
+      { extra: { region: /^eu-/ }, resource: 'tenant-audit', apiKey: 'audit-key' },
+    ],
+  });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.critical('database down');
+    alshival.log.info('login', { extra: { tenant: 'acme', region: 'eu-west-1' } });
+    alshival.log.info('login', { extra: { tenant: 'initech' } });
+    await alshival.flush();
+
+    assert.deepEqual(destinations(calls), [
+      [SERVICE_URL, 'database down'],
+      [INCIDENTS_URL, 'database down'],
+      ['https://alshival.dev/u/u/resources/tenant-audit/logs/', 'login'],
+      [SERVICE_URL, 'login'],
+    ]);
+    assert.equal(calls[2].headers['x-api-key'], 'audit-key');
+    assert.equal(calls[3].headers['x-api-key'], 'k');
+  });
+});
+
+test('level ranges and bound fields are matched', async () => {
+  alshival.configure({
+    routes: [{ minLevel: 'DEBUG', maxLevel: 'INFO', extra: { job: 'sync' }, resource: 'chatter' }],
+  });
+
+  await withTransportCapture(async (calls) => {
+    const jobLog = alshival.log.child({ job: 'sync' });
+    jobLog.info('tick');
+    jobLog.warning('lagging');
+    await alshival.flush();
+
+    assert.deepEqual(destinations(calls), [
+      ['https://alshival.dev/u/u/resources/chatter/logs/', 'tick'],
+      [SERVICE_URL, 'lagging'],
+    ]);
+  });
+});
+
+test('routes deliver even without a default resource', async () => {
+  resetSdkConfig();
+  alshival.configure({ apiKey: 'k', routes: [{ resource: 'https://alshival.dev/team/ops/resources/incidents/' }] });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.error('routed only');
+    await alshival.flush();
+    assert.deepEqual(destinations(calls), [[INCIDENTS_URL, 'routed only']]);
+  });
+});
+
+test('invalid rules are rejected by configure', () => {
+  assert.throws(() => alshival.configure({ routes: {} }), /expected an array/);
+  assert.throws(() => alshival.configure({ routes: [{ logger: 'x' }] }), /route #0: no resource/);
+  assert.throws(
+    () => alshival.configure({ routes: [{ resource: 'https://alshival.dev/u/u/' }] }),
+    /resource URL has no \/resources\/<id> segment/,
+  );
+  assert.throws(() => alshival.configure({ routes: [{ resource: 'x', minLevel: 'LOUD' }] }), /Invalid log level/);
+});
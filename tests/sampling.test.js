@@ -0,0 +1,172 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+const { CloudSampler, buildRateLimitConfig, buildSamplingConfig } = require('../src/sampling');
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 10;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.sampling = buildSamplingConfig({});
+  cfg.rateLimit = null;
+  cfg.summaryIntervalSeconds = 60;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    await alshival.flush();
+    alshival._setTransportForTests();
+  }
+}
+
+function messages(calls) {
+  return calls.map((call) => call.payload.logs[0].message);
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('rate limit is keyed on the message template', async () => {
+  alshival.configure({ rateLimit: { perSecond: 0.001, burst: 2 } });
+
+  await withTransportCapture(async (calls) => {
+    for (let index = 0; index < 5; index += 1) {
+      alshival.log.warning('cache miss for %s', `user:${index}`);
+    }
+    alshival.log.warning('different message');
+    assert.deepEqual(messages(calls), ['cache miss for user:0', 'cache miss for user:1', 'different message']);
+
+    await alshival.flush();
+    const summary = calls[3].payload.logs[0];
+    assert.equal(summary.message, 'suppressed 3 similar messages: cache miss for %s');
+    assert.equal(summary.level, 'warning');
+    assert.deepEqual(summary.extra.extra, {
+      suppressed: 3,
+      sampled: 0,
+      rate_limited: 3,
+      template: 'cache miss for %s',
+    });
+  });
+});
+
+test('sampling rates apply per level and per logger name', async () => {
+  alshival.configure({
+    sampling: {
+      levels: { debug: 0 },
+      loggers: { 'noisy.*': 0 },
+    },
+  });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.debug('dropped by level');
+    alshival.getLogger('noisy.cache').info('dropped by logger');
+    alshival.getLogger('quiet').info('kept');
+    alshival.log.info('kept too');
+    assert.deepEqual(messages(calls), ['kept', 'kept too']);
+  });
+});
+
+test('suppression summary is emitted periodically', async () => {
+  alshival.configure({
+    rateLimit: { perSecond: 0.001, burst: 1 },
+    summaryIntervalSeconds: 0.01,
+  });
+
+  await withTransportCapture(async (calls) => {
+    alshival.log.info('tick');
+    alshival.log.info('tick');
+    alshival.log.info('tick');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(messages(calls), ['tick', 'suppressed 2 similar messages: tick']);
+  });
+});
+
+test('token bucket refills over time', () => {
+  let now = 0;
+  const cfg = { sampling: null, rateLimit: buildRateLimitConfig({ perSecond: 2, burst: 1 }), summaryIntervalSeconds: 60 };
+  const sampler = new CloudSampler(() => cfg, () => now);
+  const handler = { emit() {} };
+  const record = { name: 'app', levelno: 20, levelname: 'INFO', msg: 'hot loop' };
+
+  assert.equal(sampler.allow(record, handler), true);
+  assert.equal(sampler.allow(record, handler), false);
+  now += 500;
+  assert.equal(sampler.allow(record, handler), true);
+  assert.equal(sampler.allow(record, handler), false);
+  sampler.flushSummaries();
+});
+
+test('summary counts use thousands separators', () => {
+  const emitted = [];
+  const cfg = { sampling: buildSamplingConfig({ levels: { INFO: 0 } }), rateLimit: null, summaryIntervalSeconds: 60 };
+  const sampler = new CloudSampler(() => cfg);
+  const handler = { emit: (record) => emitted.push(record) };
+  for (let index = 0; index < 4312; index += 1) {
+    sampler.allow({ name: 'app', levelno: 20, levelname: 'INFO', msg: 'cache miss' }, handler);
+  }
+  sampler.flushSummaries();
+  assert.equal(emitted[0].message, 'suppressed 4,312 similar messages: cache miss');
+});
+
+test('sampled-out records are summarized once per logger and level', async () => {
+  alshival.configure({ sampling: { levels: { INFO: 0.1 } } });
+
+  await withTransportCapture(async (calls) => {
+    for (let index = 0; index < 1000; index += 1) {
+      alshival.log.info(`processing item ${index}`);
+    }
+    await alshival.flush();
+
+    const summaries = calls.filter((call) => call.payload.logs[0].message.startsWith('suppressed'));
+    assert.equal(summaries.length, 1);
+    const kept = calls.length - 1;
+    const summary = summaries[0].payload.logs[0];
+    assert.equal(summary.message, `suppressed ${(1000 - kept).toLocaleString('en-US')} messages`);
+    assert.equal(summary.extra.extra.sampled, 1000 - kept);
+    assert.equal(summary.extra.extra.template, null);
+  });
+});
+
+test('rate-limited templates past the tracking cap fold into one summary', () => {
+  const emitted = [];
+  const cfg = { sampling: null, rateLimit: buildRateLimitConfig({ perSecond: 0.001, burst: 1 }), summaryIntervalSeconds: 60 };
+  const sampler = new CloudSampler(() => cfg);
+  const handler = { emit: (record) => emitted.push(record) };
+  for (let index = 0; index < 10005; index += 1) {
+    const record = { name: 'app', levelno: 20, levelname: 'INFO', msg: `job ${index}` };
+    sampler.allow(record, handler);
+    sampler.allow(record, handler);
+  }
+  sampler.flushSummaries();
+
+  assert.equal(emitted.length, 10000);
+  assert.equal(emitted[0].message, 'suppressed 1 similar messages: job 0');
+  assert.equal(emitted[9999].message, 'suppressed 6 messages');
+});
+
+test('invalid sample rates are rejected', () => {
+  assert.throws(() => alshival.configure({ sampling: { levels: { DEBUG: 2 } } }), /Invalid sample rate/);
+});
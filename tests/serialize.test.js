@@ -0,0 +1,132 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+const { serializeValue } = require('../src/serialize');
+
+test('circular references are marked', () => {
+  const value = { name: 'root', list: [] };
+  value.self = value;
+  value.list.push(value);
+  const shared = { id: 1 };
+
+  const out = serializeValue({ value, a: shared, b: shared });
+  assert.equal(out.value.self, '[Circular]');
+  assert.equal(out.value.list[0], '[Circular]');
+  assert.deepEqual(out.b, { id: 1 });
+});
+
+test('errors are expanded with code and cause', () => {
+  const cause = new TypeError('bad input');
+  const err = new Error('request failed', { cause });
+  err.code = 'E_REQUEST';
+  err.status = 502;
+
+  const out = serializeValue({ err }).err;
+  assert.equal(out.name, 'Error');
+  assert.equal(out.message, 'request failed');
+  assert.equal(out.code, 'E_REQUEST');
+  assert.equal(out.status, 502);
+  assert.equal(out.stack.startsWith('Error: request failed'), true);
+  assert.equal(out.cause.name, 'TypeError');
+  assert.equal(out.cause.message, 'bad input');
+});
+
+test('built-in types render in readable forms', () => {
+  class Point {
+    constructor() {
+      this.x = 1;
+      this.y = 2;
+    }
+  }
+
+  const out = serializeValue({
+    at: new Date('2024-01-02T03:04:05.000Z'),
+    big: 12345678901234567890n,
+    map: new Map([['a', 1], [2, 'b']]),
+    set: new Set(['x', 'y']),
+    buffer: Buffer.from('hi'),
+    bytes: new Uint16Array([1, 2]),
+    point: new Point(),
+    fn: function handler() {},
+    nan: Number.NaN,
+  });
+
+  assert.equal(out.at, '2024-01-02T03:04:05.000Z');
+  assert.equal(out.big, '12345678901234567890');
+  assert.deepEqual(out.map, { a: 1, 2: 'b' });
+  assert.deepEqual(out.set, ['x', 'y']);
+  assert.deepEqual(out.buffer, { type: 'Buffer', length: 2, base64: 'aGk=' });
+  assert.deepEqual(out.bytes, [1, 2]);
+  assert.deepEqual(out.point, { __type: 'Point', x: 1, y: 2 });
+  assert.equal(out.fn, '[Function handler]');
+  assert.equal(out.nan, 'NaN');
+  assert.doesNotThrow(() => JSON.stringify(out));
+});
+
+test('output is truncated by configured limits', () => {
+  const limits = {
+    maxDepth: 2,
+    maxKeys: 2,
+    maxArrayLength: 3,
+    maxStringLength: 5,
+  };
+
+  const out = serializeValue({
+    deep: { inner: { tooDeep: true } },
+    list: [1, 2, 3, 4, 5],
+    text: 'abcdefghij',
+  }, limits);
+
+  assert.deepEqual(out.deep, { inner: '[Object]' });
+  assert.deepEqual(out.list, [1, 2, 3, '...[2 more items]']);
+  assert.equal(out['[truncated]'], '1 more keys');
+  assert.equal(out.text, undefined);
+
+  assert.equal(serializeValue('abcdefghij', limits), 'abcde...[5 more chars]');
+});
+
+test('cloud payload uses the serializer for extra', async () => {
+  const cfg = alshival.getConfig();
+  cfg.batchSize = 1;
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+    cloudLevel: 'INFO',
+    serialize: { maxStringLength: 4 },
+  });
+
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    const extra = { note: 'truncate me' };
+    extra.loop = extra;
+    alshival.log.info('with cycle', { extra });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].payload.logs[0].extra.extra, { note: 'trun...[7 more chars]', loop: '[Circular]' });
+
+    // Bound fields are merged into a new object, so the self-reference is expanded one level before it is cut.
+    alshival.log.child({ job: 'sync' }).info('with cycle', { extra });
+    assert.deepEqual(calls[1].payload.logs[0].extra.extra, {
+      job: 'sync',
+      note: 'trun...[7 more chars]',
+      loop: { note: 'trun...[7 more chars]', loop: '[Circular]' },
+    });
+
+    const node = { id: 1 };
+    node.self = node;
+    alshival.log.info('with cycle', { extra: { note: 'truncate me', node } });
+    assert.deepEqual(calls[2].payload.logs[0].extra.extra, {
+      note: 'trun...[7 more chars]',
+      node: { id: 1, self: '[Circular]' },
+    });
+  } finally {
+    alshival._setTransportForTests();
+    alshival.configure({ serialize: { maxStringLength: 8192 } });
+  }
+});
@@ -0,0 +1,273 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const alshival = require('../src');
+const { DeliveryPipeline } = require('../src/delivery');
+const { spoolTag } = require('../src/spool');
+
+let spoolDir;
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+  cfg.maxRetries = 0;
+  cfg.spoolDir = null;
+  cfg.spoolMaxBytes = 50 * 1024 * 1024;
+  cfg.routes = [];
+}
+
+function spooledBatches() {
+  const files = fs.readdirSync(spoolDir).sort();
+  return files.flatMap((name) => fs.readFileSync(path.join(spoolDir, name), 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line)));
+}
+
+async function withStatus(status, fn) {
+  const calls = [];
+  const state = { status };
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    if (state.status instanceof Error) {
+      return Promise.reject(state.status);
+    }
+    return Promise.resolve({ statusCode: state.status });
+  });
+  try {
+    await fn(calls, state);
+  } finally {
+    await alshival.flush();
+    alshival._setTransportForTests();
+  }
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alshival-spool-'));
+  alshival.configure({
+    username: 'u',
+    apiKey: 'secret-key',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+    spoolDir,
+  });
+});
+
+test.afterEach(() => {
+  fs.rmSync(spoolDir, { recursive: true, force: true });
+});
+
+test('undeliverable batches are spooled without the api key', async () => {
+  await withStatus(503, async () => {
+    alshival.log.info('offline one');
+    await alshival.flush();
+
+    const batches = spooledBatches();
+    assert.equal(batches.length, 1);
+    assert.equal(batches[0].url, 'https://alshival.dev/u/u/resources/r/logs/');
+    assert.equal(batches[0].payload.logs[0].message, 'offline one');
+    assert.equal(batches[0].headers['x-user-username'], 'u');
+    assert.equal(Object.prototype.hasOwnProperty.call(batches[0].headers, 'x-api-key'), false);
+  });
+});
+
+test('spooled batches replay in order once the endpoint responds', async () => {
+  const err = new Error('connect ECONNREFUSED');
+  err.code = 'ECONNREFUSED';
+
+  await withStatus(err, async (calls, state) => {
+    alshival.log.info('first');
+    await alshival.flush();
+    alshival.log.info('second');
+    await alshival.flush();
+    assert.equal(spooledBatches().length, 2);
+
+    state.status = 200;
+    calls.length = 0;
+    alshival.log.info('back online');
+    await alshival.flush();
+
+    assert.deepEqual(calls.map((call) => call.payload.logs[0].message), ['back online', 'first', 'second']);
+    assert.equal(calls[1].headers['x-api-key'], 'secret-key');
+    assert.deepEqual(fs.readdirSync(spoolDir), []);
+  });
+});
+
+test('routed batches replay with their rule\'s api key', async () => {
+  alshival.configure({
+    routes: [{ minLevel: 'ERROR', resource: 'incident', apiKey: 'incident-key' }],
+  });
+
+  await withStatus(503, async (calls, state) => {
+    alshival.log.error('db down');
+    await alshival.flush();
+    const [batch] = spooledBatches();
+    assert.equal(batch.apiKeyRoute, 0);
+    assert.equal(JSON.stringify(batch).includes('incident-key'), false);
+
+    state.status = 200;
+    calls.length = 0;
+    alshival.log.info('back online');
+    await alshival.flush();
+
+    assert.deepEqual(
+      calls.map((call) => [call.url, call.headers['x-api-key'], call.payload.logs[0].message]),
+      [
+        ['https://alshival.dev/u/u/resources/r/logs/', 'secret-key', 'back online'],
+        ['https://alshival.dev/u/u/resources/incident/logs/', 'incident-key', 'db down'],
+      ],
+    );
+  });
+});
+
+test('unreachable hosts and network partitions are spooled', async () => {
+  await withStatus(null, async (calls, state) => {
+    for (const code of ['EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN', 'ENOTFOUND']) {
+      state.status = Object.assign(new Error(code), { code });
+      alshival.log.info(code);
+      await alshival.flush();
+    }
+    assert.deepEqual(spooledBatches().map((batch) => batch.payload.logs[0].message), [
+      'EHOSTUNREACH',
+      'ENETUNREACH',
+      'ENETDOWN',
+      'ENOTFOUND',
+    ]);
+  });
+});
+
+test('client errors are not spooled', async () => {
+  await withStatus(404, async () => {
+    alshival.log.info('invalid resource');
+    await alshival.flush();
+    assert.deepEqual(fs.readdirSync(spoolDir), []);
+  });
+});
+
+test('spool size cap drops new batches', async () => {
+  alshival.configure({ spoolMaxBytes: 700 });
+
+  await withStatus(500, async () => {
+    alshival.log.info('fits');
+    await alshival.flush();
+    alshival.log.info('does not fit');
+    await alshival.flush();
+
+    const batches = spooledBatches();
+    assert.equal(batches.length, 1);
+    assert.equal(batches[0].payload.logs[0].message, 'fits');
+  });
+});
+
+test('spool survives a restart and replays on first use', async () => {
+  await withStatus(500, async () => {
+    alshival.log.info('left behind');
+    await alshival.flush();
+  });
+  assert.equal(spooledBatches().length, 1);
+
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    const cfg = { ...alshival.getConfig() };
+    const restarted = new DeliveryPipeline(() => cfg);
+    restarted.enqueue({
+      url: 'https://alshival.dev/u/u/resources/r/logs/',
+      headers: { 'x-api-key': 'secret-key' },
+      resourceId: 'r',
+      entry: { level: 'info', message: 'new process' },
+    });
+    await restarted.flush();
+  } finally {
+    alshival._setTransportForTests();
+  }
+
+  assert.deepEqual(calls.map((call) => call.payload.logs[0].message).sort(), ['left behind', 'new process']);
+  assert.deepEqual(fs.readdirSync(spoolDir), []);
+});
+
+test('segments of other live processes are left alone; dead ones are claimed', async () => {
+  const { pid: deadPid } = spawnSync(process.execPath, ['-e', '']);
+  const line = (message) => `${JSON.stringify({
+    url: 'https://alshival.dev/u/u/resources/r/logs/',
+    headers: {},
+    payload: { resource_id: 'r', logs: [{ level: 'info', message }] },
+  })}\n`;
+  const cfg = alshival.getConfig();
+  const tag = spoolTag([cfg.resourceBaseUrl, cfg.resourceLogsPrefix, cfg.resourceId].join('\n'));
+  const liveSegment = `000000000000001-000001-${tag}-${process.ppid}.spool.jsonl`;
+  fs.writeFileSync(path.join(spoolDir, liveSegment), line('other worker'));
+  fs.writeFileSync(path.join(spoolDir, `000000000000002-000001-${tag}-${deadPid}.spool.jsonl`), line('crashed worker'));
+
+  await withStatus(200, async (calls) => {
+    alshival.log.info('online');
+    await alshival.flush();
+    assert.deepEqual(calls.map((call) => call.payload.logs[0].message).sort(), ['crashed worker', 'online']);
+  });
+  assert.deepEqual(fs.readdirSync(spoolDir), [liveSegment]);
+});
+
+test('clients sharing a spool directory only replay their own batches', async () => {
+  const sender = (state, calls) => (request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: state.status });
+  };
+  const stateA = { status: 503 };
+  const stateB = { status: 200 };
+  const callsA = [];
+  const callsB = [];
+  const a = alshival.createClient({
+    apiKey: 'key-a',
+    resource: 'https://a.example/u/alice/resources/res-a/',
+    spoolDir,
+    maxRetries: 0,
+    transport: sender(stateA, callsA),
+  });
+  const b = alshival.createClient({
+    apiKey: 'key-b',
+    resource: 'https://b.example/u/bob/resources/res-b/',
+    spoolDir,
+    maxRetries: 0,
+    transport: sender(stateB, callsB),
+  });
+
+  a.log.info('tenant a offline');
+  await a.flush();
+  assert.equal(spooledBatches().length, 1);
+
+  b.log.info('tenant b online');
+  await b.flush();
+  assert.deepEqual(callsB.map((call) => call.payload.logs[0].message), ['tenant b online']);
+  assert.equal(spooledBatches().length, 1);
+
+  stateA.status = 200;
+  callsA.length = 0;
+  a.log.info('tenant a online');
+  await a.flush();
+  assert.deepEqual(
+    callsA.map((call) => [call.url, call.headers['x-api-key'], call.payload.logs[0].message]),
+    [
+      ['https://a.example/u/alice/resources/res-a/logs/', 'key-a', 'tenant a online'],
+      ['https://a.example/u/alice/resources/res-a/logs/', 'key-a', 'tenant a offline'],
+    ],
+  );
+  assert.deepEqual(fs.readdirSync(spoolDir), []);
+});
@@ -0,0 +1,186 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+
+const RESOURCE_URL = 'https://alshival.dev/u/u/resources/stats-res/';
+
+function statusTransport(statusCode) {
+  const calls = [];
+  const transport = (request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode });
+  };
+  return { calls, transport };
+}
+
+function captureStderr(fn) {
+  const lines = [];
+  const originalWrite = process.stderr.write;
+  process.stderr.write = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  try {
+    fn();
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+  return lines;
+}
+
+function withDebug(value, fn) {
+  const previous = process.env.ALSHIVAL_DEBUG;
+  process.env.ALSHIVAL_DEBUG = value;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.ALSHIVAL_DEBUG;
+    } else {
+      process.env.ALSHIVAL_DEBUG = previous;
+    }
+  }
+}
+
+test('getStats counts emitted, forwarded, filtered and delivered records', async () => {
+  const { transport } = statusTransport(202);
+  const client = alshival.createClient({
+    apiKey: 'k',
+    resource: RESOURCE_URL,
+    cloudLevel: 'INFO',
+    transport,
+  });
+
+  client.log.debug('below cloud level');
+  client.log.info('one');
+  client.log.warning('two');
+  await client.flush();
+
+  const stats = client.getStats();
+  assert.equal(stats.emitted, 3);
+  assert.equal(stats.filteredByLevel, 1);
+  assert.equal(stats.forwarded, 2);
+  assert.equal(stats.delivered, 2);
+  assert.equal(stats.failed, 0);
+  assert.deepEqual(stats.failedByStatus, {});
+  assert.equal(stats.posts, 2);
+  assert.equal(stats.queued, 0);
+  assert.ok(stats.averageLatencyMs >= 0);
+
+  client.resetStats();
+  assert.equal(client.getStats().emitted, 0);
+  assert.equal(client.getStats().posts, 0);
+});
+
+test('records that cannot be sent are counted as skipped', async () => {
+  const { calls, transport } = statusTransport(200);
+  const client = alshival.createClient({ apiKey: 'k', transport });
+  client.log.info('no resource');
+  client.configure({ resource: RESOURCE_URL, enabled: false });
+  client.log.info('disabled');
+  await client.flush();
+
+  assert.equal(calls.length, 0);
+  assert.equal(client.getStats().emitted, 2);
+  assert.equal(client.getStats().skipped, 2);
+});
+
+test('failed posts are counted by status and reported as deliveryError events', async () => {
+  const { transport } = statusTransport(404);
+  const client = alshival.createClient({ apiKey: 'k', resource: RESOURCE_URL, transport });
+  const events = [];
+  client.on('deliveryError', (event) => events.push(event));
+
+  client.log.error('lost');
+  await client.flush();
+
+  assert.equal(client.getStats().failed, 1);
+  assert.deepEqual(client.getStats().failedByStatus, { 404: 1 });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].url, 'https://alshival.dev/u/u/resources/stats-res/logs/');
+  assert.equal(events[0].resourceId, 'stats-res');
+  assert.equal(events[0].statusCode, 404);
+  assert.equal(events[0].records, 1);
+  assert.equal(events[0].attempts, 1);
+  assert.equal(events[0].retryable, false);
+});
+
+test('retryable failures are reported once their retries run out', async () => {
+  let attempts = 0;
+  const transport = () => {
+    attempts += 1;
+    const err = new Error('connect ECONNREFUSED');
+    err.code = 'ECONNREFUSED';
+    return Promise.reject(err);
+  };
+  const client = alshival.createClient({
+    apiKey: 'k',
+    resource: RESOURCE_URL,
+    maxRetries: 2,
+    retryBaseSeconds: 0,
+    transport,
+  });
+  const events = [];
+  client.once('deliveryError', (event) => events.push(event));
+  client.on('deliveryError', () => {
+    throw new Error('listener failures do not break delivery');
+  });
+
+  client.log.error('unreachable');
+  await client.flush();
+
+  assert.equal(attempts, 3);
+  const stats = client.getStats();
+  assert.equal(stats.retries, 2);
+  assert.equal(stats.posts, 3);
+  assert.deepEqual(stats.failedByStatus, { ECONNREFUSED: 1 });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].error.code, 'ECONNREFUSED');
+  assert.equal(events[0].attempts, 3);
+  assert.equal(events[0].retryable, true);
+});
+
+test('records dropped from a full queue are counted', async () => {
+  let release;
+  const blocked = new Promise((resolve) => {
+    release = resolve;
+  });
+  const client = alshival.createClient({
+    apiKey: 'k',
+    resource: RESOURCE_URL,
+    maxQueueSize: 1,
+    maxConcurrentRequests: 1,
+    dropPolicy: 'drop-newest',
+    transport: () => blocked.then(() => ({ statusCode: 200 })),
+  });
+
+  client.log.info('in flight');
+  client.log.info('queued');
+  client.log.info('dropped');
+  assert.equal(client.getStats().dropped, 1);
+  assert.equal(client.getStats().queued, 1);
+  release();
+  await client.flush();
+});
+
+test('ALSHIVAL_DEBUG writes SDK diagnostics to stderr', () => {
+  const client = alshival.createClient({ apiKey: 'k' });
+
+  const quiet = captureStderr(() => client.log.info('no resource'));
+  assert.deepEqual(quiet, []);
+
+  const lines = withDebug('1', () => captureStderr(() => client.log.info('no resource')));
+  assert.deepEqual(lines, [
+    '[alshival] skipping cloud log: missing resource target (set ALSHIVAL_RESOURCE or pass resourceId)\n',
+  ]);
+});
+
+test('top-level getStats and on use the default client', () => {
+  const listener = () => {};
+  assert.equal(alshival.on('deliveryError', listener), alshival);
+  alshival.off('deliveryError', listener);
+  assert.equal(typeof alshival.getStats().emitted, 'number');
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const alshival = require('../src');
+const testing = require('../src/testing');
+
+const capture = testing.captureLogs({ afterEach: test.afterEach });
+
+test('captureLogs records what the default client ships', async () => {
+  const cfg = alshival.getConfig();
+  assert.equal(cfg.apiKey, testing.TEST_API_KEY);
+  assert.equal(cfg.resourceId, 'test-resource');
+
+  alshival.getLogger('payments').error('upstream timeout after 30s', { extra: { provider: 'stripe', attempt: 2 } });
+  alshival.log.info('request served');
+  await alshival.flush();
+
+  const record = testing.expectLogged({ level: 'error', message: /timeout/ });
+  assert.equal(record.logger, 'payments');
+  assert.deepEqual(record.extra, { provider: 'stripe', attempt: 2 });
+  assert.equal(record.resourceId, 'test-resource');
+  testing.expectLogged({ level: 'ERROR', logger: 'payments', extra: { provider: 'stripe' } });
+  testing.expectLogged({ message: 'request served' });
+  testing.expectNotLogged({ level: 'warning' });
+  assert.equal(capture.filter({ logger: /^pay/ }).length, 1);
+});
+
+test('captured records are reset after each test', () => {
+  assert.deepEqual(capture.records, []);
+  assert.equal(alshival.getStats().emitted, 0);
+});
+
+test('expectLogged failures list what was logged', () => {
+  alshival.log.warning('disk almost full');
+  assert.throws(
+    () => testing.expectLogged({ level: 'error', message: /disk/ }),
+    (err) => {
+      assert.ok(err instanceof assert.AssertionError);
+      assert.match(err.message, /Expected a record matching \{ level: 'error', message: \/disk\/ \}/);
+      assert.match(err.message, /logged:\n {2}warning alshival: disk almost full/);
+      return true;
+    },
+  );
+  assert.throws(() => testing.expectNotLogged({ message: /disk/ }), /Expected no record matching/);
+});
+
+test('simulated status codes are retried like real responses', async () => {
+  alshival.configure({ retryBaseSeconds: 0 });
+  testing.simulate({ status: 503, times: 1 });
+
+  alshival.log.error('eventually delivered');
+  await alshival.flush();
+
+  assert.deepEqual(capture.requests.map((request) => request.status), [503, 202]);
+  assert.equal(capture.records.length, 1);
+  assert.equal(alshival.getStats().retries, 1);
+});
+
+test('simulated timeouts and latency', async () => {
+  alshival.configure({ maxRetries: 0 });
+  const events = [];
+  const listener = (event) => events.push(event);
+  alshival.on('deliveryError', listener);
+  try {
+    testing.simulate({ timeout: true, times: 1 }).simulate({ latencyMs: 30, times: 1 });
+    alshival.log.error('timed out');
+    await alshival.flush();
+    alshival.log.error('slow');
+    await alshival.flush();
+  } finally {
+    alshival.off('deliveryError', listener);
+    alshival.configure({ maxRetries: 3 });
+  }
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].error.code, 'ETIMEDOUT');
+  testing.expectNotLogged({ message: 'timed out' });
+  testing.expectLogged({ message: 'slow' });
+  assert.ok(alshival.getStats().averageLatencyMs >= 10);
+});
+
+test('reset forgets deduped exceptions and rate limits', async () => {
+  alshival.configure({ rateLimit: { perSecond: 0.001, burst: 1 } });
+  const logBoth = () => {
+    alshival.log.exception('query failed', new Error('db down'));
+    alshival.log.info('tick');
+  };
+  try {
+    logBoth();
+    testing.reset();
+    logBoth();
+    await alshival.flush();
+  } finally {
+    alshival.configure({ rateLimit: null });
+  }
+
+  assert.deepEqual(capture.records.map((record) => [record.message, record.entry.extra.occurrences]), [
+    ['query failed', undefined],
+    ['tick', undefined],
+  ]);
+});
+
+test('reset abandons posts waiting to be retried', async () => {
+  assert.equal(alshival.getConfig().retryBaseSeconds, 0);
+  alshival.configure({ retryBaseSeconds: 0.2 });
+  try {
+    testing.simulate({ status: 503, times: 2 });
+    alshival.log.error('from test 1');
+    await new Promise((resolve) => {
+      setTimeout(resolve, 20);
+    });
+    assert.equal(capture.requests.length, 1);
+    testing.reset();
+
+    alshival.log.error('from test 2');
+    await alshival.flush();
+  } finally {
+    alshival.configure({ retryBaseSeconds: 0 });
+  }
+
+  assert.deepEqual(capture.records.map((record) => record.message), ['from test 2']);
+  assert.deepEqual(capture.requests.map((request) => request.payload.logs[0].message), ['from test 2']);
+});
+
+test('a LogCapture can back an isolated client', async () => {
+  const own = new testing.LogCapture();
+  const client = alshival.createClient({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/team/ops/resources/own/',
+    transport: own.transport,
+  });
+  client.log.critical('isolated');
+  await client.flush();
+
+  own.expectLogged({ level: 'critical', resourceId: 'own' });
+  testing.expectNotLogged({ message: 'isolated' });
+});
+
+test('restore puts back the transport and configuration', () => {
+  testing.restore();
+  const cfg = alshival.getConfig();
+  assert.equal(cfg.apiKey, null);
+  assert.equal(cfg.resourceId, null);
+  assert.equal(cfg.retryBaseSeconds, 0.5);
+  assert.throws(() => testing.expectLogged({}), /captureLogs\(\) to be called first/);
+});
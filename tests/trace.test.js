@@ -0,0 +1,125 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const alshival = require('../src');
+const { parseTraceparent } = require('../src/trace');
+
+const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+function resetSdkConfig() {
+  const cfg = alshival.getConfig();
+  cfg.username = null;
+  cfg.resourceBaseUrl = null;
+  cfg.resourceLogsPrefix = null;
+  cfg.apiKey = null;
+  cfg.resourceId = null;
+  cfg.enabled = true;
+  cfg.cloudLevel = 20;
+  cfg.timeoutSeconds = 5;
+  cfg.verifySsl = true;
+  cfg.batchSize = 1;
+}
+
+async function withTransportCapture(fn) {
+  const calls = [];
+  alshival._setTransportForTests((request) => {
+    calls.push(request);
+    return Promise.resolve({ statusCode: 200 });
+  });
+  try {
+    await fn(calls);
+  } finally {
+    alshival._setTransportForTests();
+  }
+}
+
+test.beforeEach(() => {
+  resetSdkConfig();
+  alshival.configure({
+    apiKey: 'k',
+    resource: 'https://alshival.dev/u/u/resources/r/',
+  });
+});
+
+test('parseTraceparent validates W3C values', () => {
+  assert.deepEqual(parseTraceparent(TRACEPARENT), {
+    trace_id: '4bf92f3577b34da6a3ce929d0e0e4736',
+    span_id: '00f067aa0ba902b7',
+    trace_flags: '01',
+  });
+  assert.equal(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01'), null);
+  assert.equal(parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'), null);
+  assert.equal(parseTraceparent('garbage'), null);
+  assert.equal(parseTraceparent(undefined), null);
+});
+
+test('traceparent on the async context enriches records', async () => {
+  await withTransportCapture(async (calls) => {
+    alshival.runWithContext({ traceparent: TRACEPARENT, request_id: 'abc' }, () => {
+      alshival.log.info('traced');
+    });
+    alshival.log.info('untraced');
+
+    const traced = calls[0].payload.logs[0].extra;
+    assert.equal(traced.trace_id, '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.equal(traced.span_id, '00f067aa0ba902b7');
+    assert.equal(traced.trace_flags, '01');
+    assert.deepEqual(traced.extra, { request_id: 'abc' });
+    assert.equal(calls[1].payload.logs[0].extra.trace_id, undefined);
+  });
+});
+
+test('middleware puts the incoming traceparent on the context', async () => {
+  await withTransportCapture(async (calls) => {
+    const middleware = alshival.middleware.koa();
+    const ctx = { req: { method: 'GET', url: '/', headers: { traceparent: TRACEPARENT } }, status: 200 };
+    await middleware(ctx, async () => {
+      alshival.log.info('inside request');
+    });
+    assert.equal(calls[0].payload.logs[0].extra.trace_id, '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.equal(calls[1].payload.logs[0].extra.span_id, '00f067aa0ba902b7');
+  });
+});
+
+test('active OpenTelemetry span takes precedence when the API is installed', () => {
+  const modulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alshival-otel-'));
+  const apiDir = path.join(modulesDir, '@opentelemetry', 'api');
+  fs.mkdirSync(apiDir, { recursive: true });
+  fs.writeFileSync(path.join(apiDir, 'index.js'), `
+    const spanContext = { traceId: 'a'.repeat(32), spanId: 'b'.repeat(16), traceFlags: 1 };
+    module.exports = {
+      context: { active: () => ({}) },
+      trace: { getSpan: () => ({ spanContext: () => spanContext }) },
+    };
+  `);
+
+  const sdkPath = JSON.stringify(path.join(__dirname, '..', 'src'));
+  const script = `
+    const alshival = require(${sdkPath});
+    alshival._setTransportForTests((request) => {
+      process.stdout.write(JSON.stringify(request.payload.logs[0].extra));
+      return Promise.resolve({ statusCode: 200 });
+    });
+    alshival.configure({ apiKey: 'k', resource: 'https://alshival.dev/u/u/resources/r/' });
+    alshival.runWithContext({ traceparent: ${JSON.stringify(TRACEPARENT)} }, () => alshival.log.info('otel'));
+  `;
+  try {
+    const result = spawnSync(process.execPath, ['-e', script], {
+      encoding: 'utf8',
+      timeout: 10000,
+      env: { ...process.env, NODE_PATH: modulesDir },
+    });
+    const extra = JSON.parse(result.stdout);
+    assert.equal(extra.trace_id, 'a'.repeat(32));
+    assert.equal(extra.span_id, 'b'.repeat(16));
+    assert.equal(extra.trace_flags, '01');
+  } finally {
+    fs.rmSync(modulesDir, { recursive: true, force: true });
+  }
+});